@@ -20,7 +20,8 @@ document.addEventListener("DOMContentLoaded", () => {
     $("#canvas") ||
     document.querySelector("canvas");
 
-  const ctx = canvas ? canvas.getContext("2d") : null;
+  // Swapped for an SVG recorder while exporting, so every draw* function can render either target.
+  let ctx = canvas ? canvas.getContext("2d") : null;
 
   const stepXEl =
     $("#stepX") ||
@@ -73,411 +74,691 @@ document.addEventListener("DOMContentLoaded", () => {
     document.querySelector(".stats") ||
     document.querySelector(".status");
 
+  const layerSelectEl = $("#layerSelect");
+  const solverModeEl = $("#solverMode");
+  const heatTopNEl = $("#heatTopN");
+  const useAbsenceEl = $("#useAbsence");
+  const profileSelectEl = $("#profileSelect");
+  const profileSaveBtn = $("#profileSaveBtn");
+  const profileDeleteBtn = $("#profileDeleteBtn");
+  const geometrySelectEl = $("#geometrySelect");
+  const ringTableEl = $("#ringTable");
+  const bandTableEl = $("#bandTable");
+  const bandsResetBtn = $("#bandsResetBtn");
+  const packListEl = $("#packList");
+  const packJsonEl = $("#packJson");
+  const packAddBtn = $("#packAddBtn");
+  const packErrorEl = $("#packError");
+  const canvasScrollerEl = $("#canvasScroller");
+  const mapTooltipEl = $("#mapTooltip");
+  const tileMenuEl = $("#tileMenu");
+  const fitViewBtn = $("#fitViewBtn");
+  const paintSelectEl = $("#paintSelect");
+  const clearTerrainBtn = $("#clearTerrainBtn");
+  const exportBtn = $("#exportBtn");
+  const svgBtn = $("#svgBtn");
+  const veinsCsvBtn = $("#veinsCsvBtn");
+  const veinsJsonBtn = $("#veinsJsonBtn");
+  const reportBtn = $("#reportBtn");
+  const importBtn = $("#importBtn");
+  const importFileEl = $("#importFile");
+  const shareBtn = $("#shareBtn");
+  const projectSelectEl = $("#projectSelect");
+  const projectNewBtn = $("#projectNewBtn");
+  const projectRenameBtn = $("#projectRenameBtn");
+  const projectDeleteBtn = $("#projectDeleteBtn");
+  const anchorXEl = $("#anchorX");
+  const anchorYEl = $("#anchorY");
+  const compassPadEl = $("#compassPad");
+  const movePathEl = $("#movePath");
+  const pickStepBtn = $("#pickStepBtn");
+  const stepSummaryEl = $("#stepSummary");
+  const suggestBtn = $("#suggestBtn");
+  const walkRadiusEl = $("#walkRadius");
+  const suggestGoalEl = $("#suggestGoal");
+  const suggestListEl = $("#suggestList");
+  const planOrderEl = $("#planOrder");
+  const planAvoidDugEl = $("#planAvoidDug");
+  const planTargetsEl = $("#planTargets");
+  const planBtn = $("#planBtn");
+  const planLegsEl = $("#planLegs");
+  const parsePreviewEl = $("#parsePreview");
+  const logFileBtn = $("#logFileBtn");
+  const logFileInputEl = $("#logFileInput");
+  const followLogEl = $("#followLog");
+  const logFileStatusEl = $("#logFileStatus");
+  const pendingListEl = $("#pendingList");
+  const historyListEl = $("#historyList");
+  const undoHistoryBtn = $("#undoHistoryBtn");
+  const redoHistoryBtn = $("#redoHistoryBtn");
+  const timelinePanelEl = $("#timelinePanel");
+  const timelineRangeEl = $("#timelineRange");
+  const timelinePrevBtn = $("#timelinePrevBtn");
+  const timelinePlayBtn = $("#timelinePlayBtn");
+  const timelineNextBtn = $("#timelineNextBtn");
+  const timelineLabelEl = $("#timelineLabel");
+  const timelineChartEl = $("#timelineChart");
+  const timelineStepsEl = $("#timelineSteps");
+
+  const entriesListEl =
+    $("#entriesList") ||
+    document.querySelector(".entriesList");
+
   if (!canvas || !ctx || !logTextEl) {
     console.warn("[WO Shard Analyzer] Missing required elements (canvas/textarea). Script will not run.");
     return;
   }
 
   // ---------- Constants / helpers ----------
-  const STORAGE_KEY = "wo_shard_analyzer_state_v5";
-  const PAD_TILES = 6;
-
-  const QUALITY_BANDS = [
-    { key: "poor",      label: "20-29", color: "#9aa0a6" },
-    { key: "normal",    label: "40-59", color: "#3ddc84" },
-    { key: "good",      label: "60-79", color: "#4ea1ff" },
-    { key: "very_good", label: "80-94", color: "#b36bff" },
-    { key: "utmost",    label: "95-99", color: "#ffb020" }
+  // Parsing, geometry and the solvers live in shard-core.js; the wrappers below feed them this project's settings.
+  const core = window.ShardCore;
+  const {
+    clamp, parseIntSafe, coordKey, parseCoordKey, titleCase,
+    DEFAULT_QUALITY_BANDS, QL_MAX, NO_QL_COLOR, cloneBands, qlRangeText, parseQlRange,
+    oreNormalize, DIR_MAP, DEFAULT_DETECTION, GEOMETRY_PROFILES, cloneDetection,
+    STRENGTH_WORDS, ENGLISH_PACK, compilePack, isEntryEnabled, recomputePositions,
+    TERRAIN_TYPES, cleanTerrain, DEFAULT_SOLVER_SETTINGS
+  } = core;
+
+  // The key no longer changes with the format; state.schemaVersion + migrateState() handle upgrades.
+  const STORAGE_KEY = "wo_shard_analyzer_state";
+  const LEGACY_STORAGE_KEYS = [
+    "wo_shard_analyzer_state_v5",
+    "wo_shard_analyzer_state_v4",
+    "wo_shard_analyzer_state_v3",
+    "wo_shard_analyzer_state_v2",
+    "wo_shard_analyzer_state_v1"
   ];
+  const SCHEMA_VERSION = 7;
+  const EXPORT_FORMAT = "wo-shard-analyzer-session";
+  const PROFILES_KEY = "wo_shard_analyzer_profiles_v1";
+  const MESSAGE_PACKS_KEY = "wo_shard_analyzer_message_packs_v1";
+  const PAD_TILES = 6;
 
-  function clamp(n, a, b) { return Math.max(a, Math.min(b, n)); }
-  function parseIntSafe(v, fallback = 0) {
-    const n = parseInt(v, 10);
-    return Number.isFinite(n) ? n : fallback;
+  function escapeHtml(s) {
+    return String(s).replace(/[&<>"']/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c]));
   }
-  function coordKey(x, y) { return `${x},${y}`; }
-  function parseCoordKey(k) {
-    const [xs, ys] = k.split(",");
-    return { x: parseInt(xs, 10), y: parseInt(ys, 10) };
+
+  // ---------- Project settings ----------
+  function qualityBands() {
+    return state.settings.qualityBands;
   }
-  function setIntersect(a, b) {
-    const out = new Set();
-    for (const v of a) if (b.has(v)) out.add(v);
-    return out;
+
+  function bandForQl(n) { return core.bandForQl(n, qualityBands()); }
+  function qlColorForNumber(n) { return core.qlColorForNumber(n, qualityBands()); }
+  function qlColorForRange(range) { return core.qlColorForRange(range, qualityBands()); }
+  function bandForAdj(adj) { return core.bandForAdj(adj, qualityBands()); }
+  function markColor(m) { return core.markColor(m, qualityBands()); }
+
+  function detectionModel() {
+    return state.settings.detection;
   }
-  function titleCase(s) {
-    return s.replace(/\w\S*/g, w => w.charAt(0).toUpperCase() + w.slice(1));
-  }
-
-  function qlColorForNumber(n) {
-    if (!Number.isFinite(n)) return "#cfd8dc";
-    if (n >= 95) return QUALITY_BANDS.find(b => b.key === "utmost").color;
-    if (n >= 80) return QUALITY_BANDS.find(b => b.key === "very_good").color;
-    if (n >= 60) return QUALITY_BANDS.find(b => b.key === "good").color;
-    if (n >= 40) return QUALITY_BANDS.find(b => b.key === "normal").color;
-    return QUALITY_BANDS.find(b => b.key === "poor").color;
-  }
-
-  function bandForAdj(adj) {
-    if (!adj) return null;
-    const a = adj.toLowerCase();
-    if (a.includes("utmost")) return QUALITY_BANDS.find(b => b.key === "utmost");
-    if (a.includes("very good")) return QUALITY_BANDS.find(b => b.key === "very_good");
-    if (a.includes("good")) return QUALITY_BANDS.find(b => b.key === "good");
-    if (a.includes("normal")) return QUALITY_BANDS.find(b => b.key === "normal");
-    if (a.includes("poor")) return QUALITY_BANDS.find(b => b.key === "poor");
-    return null;
-  }
-
-  function oreNormalize(raw) {
-    if (!raw) return null;
-    let t = raw.toLowerCase().trim();
-    t = t.replace(/\s+ore\b/g, "");
-    t = t.replace(/\s+vein\b/g, "");
-    t = t.replace(/\s+here\b/g, "");
-    // Ignore “stone shards” / shards context entirely for mining lock behavior:
-    if (t.includes("stone shards")) return null;
-    if (t.includes("shards")) return null;
-    t = t.replace(/[^a-z\s]/g, " ").replace(/\s+/g, " ").trim();
-    return t || null;
-  }
-
-  // ---------- Direction parsing ----------
-  const DIR_MAP = {
-    "north": { dx: 0, dy: 1 },
-    "south": { dx: 0, dy: -1 },
-    "east":  { dx: 1, dy: 0 },
-    "west":  { dx: -1, dy: 0 },
-    "northeast": { dx: 1, dy: 1 },
-    "northwest": { dx: -1, dy: 1 },
-    "southeast": { dx: 1, dy: -1 },
-    "southwest": { dx: -1, dy: -1 },
-    "ne": { dx: 1, dy: 1 },
-    "nw": { dx: -1, dy: 1 },
-    "se": { dx: 1, dy: -1 },
-    "sw": { dx: -1, dy: -1 }
-  };
 
-  function parseDirectionPhrase(phraseRaw) {
-    if (!phraseRaw) return null;
-    const p = phraseRaw.toLowerCase().replace(/[().]/g, "").trim();
-    if (DIR_MAP[p]) return { type: "dir", ...DIR_MAP[p] };
-
-    const m = p.match(/(north|south|east|west)\s+of\s+(north|south|east|west)/i);
-    if (m) {
-      const v1 = DIR_MAP[m[1].toLowerCase()];
-      const v2 = DIR_MAP[m[2].toLowerCase()];
-      const dx = clamp(v1.dx + v2.dx, -1, 1);
-      const dy = clamp(v1.dy + v2.dy, -1, 1);
-      return { type: "dir", dx, dy };
-    }
-    return null;
-  }
-
-  // ---------- Strength -> distance ----------
-  // Key change: distances tuned to give “area wedges” that resemble WurmNode’s output scale.
-  // Adjust these if you want the wedge tighter/looser.
-  function strengthToDistance(strengthWord) {
-    if (!strengthWord) return 6;
-    const s = strengthWord.toLowerCase();
-    if (s.includes("slight"))     return 6;
-    if (s.includes("faint"))      return 8;
-    if (s.includes("minuscule"))  return 8;
-    if (s.includes("vague"))      return 10;
-    if (s.includes("indistinct")) return 12;
-    return 6;
-  }
-
-  // ---------- WurmNode-like candidate regions (FILLED, not perimeter-only) ----------
-  function matchesCardinal(dx, dy, dir) {
-    if (dir.dx === 1 && dir.dy === 0) return dx > 0;  // east half-plane
-    if (dir.dx === -1 && dir.dy === 0) return dx < 0; // west
-    if (dir.dx === 0 && dir.dy === 1) return dy > 0;  // north
-    if (dir.dx === 0 && dir.dy === -1) return dy < 0; // south
-    return false;
-  }
-
-  function matchesDiagonal(dx, dy, dir) {
-    if (dir.dx === 1 && dir.dy === 1) return dx > 0 && dy > 0;   // NE
-    if (dir.dx === -1 && dir.dy === 1) return dx < 0 && dy > 0;  // NW
-    if (dir.dx === 1 && dir.dy === -1) return dx > 0 && dy < 0;  // SE
-    if (dir.dx === -1 && dir.dy === -1) return dx < 0 && dy < 0; // SW
-    return false;
-  }
-
-  // Filled region:
-  // - Cardinal: rectangle out to distance d, with +/-d lateral spread (matches typical “cone/strip” feel)
-  // - Diagonal: filled triangle in the octant using Manhattan constraint |dx|+|dy| <= d
-  function wedgeCandidates(source, d, dir) {
-    const out = new Set();
-    if (!d || d < 1 || !dir) return out;
-
-    const sx = source.x, sy = source.y;
-
-    // Cardinal directions => rectangle
-    if ((dir.dx === 1 || dir.dx === -1) && dir.dy === 0) {
-      // East/West: forward distance up to d, lateral spread up to d
-      for (let dx = 1; dx <= d; dx++) {
-        const realDx = dx * dir.dx;
-        for (let dy = -d; dy <= d; dy++) {
-          out.add(coordKey(sx + realDx, sy + dy));
-        }
-      }
-      return out;
-    }
+  function strengthToRing(strengthWord) { return core.strengthToRing(strengthWord, detectionModel()); }
 
-    if ((dir.dy === 1 || dir.dy === -1) && dir.dx === 0) {
-      // North/South: forward distance up to d, lateral spread up to d
-      for (let dy = 1; dy <= d; dy++) {
-        const realDy = dy * dir.dy;
-        for (let dx = -d; dx <= d; dx++) {
-          out.add(coordKey(sx + dx, sy + realDy));
-        }
-      }
-      return out;
+  function terrainKeys(flag) { return core.terrainKeys(state.terrain, flag); }
+
+  // ---------- Message packs ----------
+  // Custom packs are stored per browser and compiled by shard-core.js; English always comes first.
+  function loadMessagePacks() {
+    try {
+      const list = JSON.parse(localStorage.getItem(MESSAGE_PACKS_KEY) || "[]");
+      return Array.isArray(list) ? list : [];
+    } catch (_) {
+      return [];
     }
+  }
+  function saveMessagePacks(list) {
+    try { localStorage.setItem(MESSAGE_PACKS_KEY, JSON.stringify(list)); } catch (_) {}
+    compiledPacks = null;
+  }
 
-    // Diagonals => filled triangle in octant
-    for (let dx = -d; dx <= d; dx++) {
-      for (let dy = -d; dy <= d; dy++) {
-        if (dx === 0 && dy === 0) continue;
-        if (!matchesDiagonal(dx, dy, dir)) continue;
-        if ((Math.abs(dx) + Math.abs(dy)) > d) continue; // triangle boundary
-        out.add(coordKey(sx + dx, sy + dy));
-      }
+  let compiledPacks = null;
+
+  // English first, then every enabled custom pack that still compiles.
+  function activePacks() {
+    if (compiledPacks) return compiledPacks;
+    compiledPacks = [ENGLISH_PACK];
+    for (const raw of loadMessagePacks()) {
+      if (raw.enabled === false) continue;
+      try { compiledPacks.push(compilePack(raw)); } catch (_) {}
     }
-    return out;
+    return compiledPacks;
   }
 
-  // ---------- Parsing ----------
-  function extractStrengthWord(line) {
-    const s = line.toLowerCase();
-    const words = ["indistinct", "vague", "minuscule", "faint", "slight"];
-    for (const w of words) if (s.includes(w)) return w;
-    return null;
+  function parseLogBlock(rawText) { return core.parseLogBlock(rawText, activePacks()); }
+  function parseLogSessions(rawText) { return core.parseLogSessions(rawText, activePacks()); }
+
+  // ---------- State ----------
+  const DEFAULT_SETTINGS = {
+    ...DEFAULT_SOLVER_SETTINGS, walkRadius: 8, planOrder: "quality", planAvoidDug: false,
+    detection: cloneDetection(DEFAULT_DETECTION), qualityBands: cloneBands(DEFAULT_QUALITY_BANDS)
+  };
+
+  function freshState() {
+    return {
+      schemaVersion: SCHEMA_VERSION,
+      entries: [],
+      marks: [],
+      terrain: {},
+      anchor: null,
+      view: { layer: "all" },
+      settings: { ...DEFAULT_SETTINGS, detection: cloneDetection(DEFAULT_DETECTION), qualityBands: cloneBands(DEFAULT_QUALITY_BANDS) }
+    };
   }
 
-  function parseOreAndAdjFromDescriptor(descRaw) {
-    if (!descRaw) return null;
-    const d = descRaw.toLowerCase().trim();
+  let state = freshState();
+  let stateRevision = 0; // bumped on every save or load; solves are matched to the state by it
 
-    // “indistinct trace of something, but cannot quite make it out”
-    if (d.includes("something") && d.includes("cannot quite make it out")) {
-      return { ore: "Unknown", adj: null };
-    }
+  // Stored, imported and shared states all pass through these, so every number that reaches the page is an
+  // integer in range and every string is a string.
+  const COORD_LIMIT = 100000;
 
-    let adj = null;
-    if (d.includes("utmost quality")) adj = "utmost";
-    else if (d.includes("very good quality")) adj = "very good";
-    else if (d.includes("good quality")) adj = "good";
-    else if (d.includes("normal quality")) adj = "normal";
-    else if (d.includes("poor quality")) adj = "poor";
+  function cleanCoord(v) { return clamp(parseIntSafe(v, 0), -COORD_LIMIT, COORD_LIMIT); }
+  function cleanText(v) { return typeof v === "string" ? v : null; }
 
-    let orePart = d
-      .replace("utmost quality", "")
-      .replace("very good quality", "")
-      .replace("good quality", "")
-      .replace("normal quality", "")
-      .replace("poor quality", "")
-      .replace(/\bquality\b/g, "")
-      .replace(/[^a-z\s]/g, " ")
-      .replace(/\s+/g, " ")
-      .trim();
+  function cleanTrace(t) {
+    if (!t || typeof t !== "object" || !t.dir) return null;
+    const out = {
+      ore: cleanText(t.ore) || "Unknown",
+      adj: cleanText(t.adj),
+      strengthWord: STRENGTH_WORDS.includes(t.strengthWord) ? t.strengthWord : null,
+      dir: { type: "dir", dx: clamp(parseIntSafe(t.dir.dx, 0), -1, 1), dy: clamp(parseIntSafe(t.dir.dy, 0), -1, 1) }
+    };
+    if (t.dropped) out.dropped = true;
+    return out;
+  }
 
-    const tokens = orePart.split(" ").filter(Boolean);
-    const ore = tokens.length ? tokens[tokens.length - 1] : null;
-    if (!ore) return null;
+  function cleanEntry(e) {
+    if (!e || typeof e !== "object" || !e.parsed || typeof e.parsed !== "object") return null;
+    const p = e.parsed;
+    // Same key order as a new entry, so the edit history pools both as one.
+    const out = {
+      x: 0,
+      y: 0,
+      dx: cleanCoord(e.dx),
+      dy: cleanCoord(e.dy),
+      parsed: {
+        mineOre: cleanText(p.mineOre),
+        mineMaxQl: Number.isFinite(p.mineMaxQl) ? clamp(Math.round(p.mineMaxQl), 0, QL_MAX) : null,
+        traces: (Array.isArray(p.traces) ? p.traces : []).map(cleanTrace).filter(Boolean),
+        ...(p.surface ? { surface: true } : {})
+      },
+      ...(typeof e.raw === "string" ? { raw: e.raw } : {}),
+      time: cleanText(e.time)
+    };
+    if (e.enabled === false) out.enabled = false;
+    if (e.absence === false) out.absence = false;
+    return out;
+  }
 
-    const norm = oreNormalize(ore);
-    return { ore: norm || ore, adj };
+  function cleanMark(m) {
+    if (!m || typeof m !== "object") return null;
+    const found = m.found && typeof m.found === "object" && typeof m.found.ore === "string"
+      ? { ore: m.found.ore, qlDisplay: cleanText(m.found.qlDisplay) || "" }
+      : null;
+    return { x: cleanCoord(m.x), y: cleanCoord(m.y), found };
   }
 
-  function parseLogBlock(rawText) {
-    const lines = rawText.split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+  function cleanSettings(settings) {
+    const s = { ...DEFAULT_SETTINGS, ...(settings && typeof settings === "object" ? settings : {}) };
+    return {
+      ...s,
+      solver: s.solver === "heatmap" ? "heatmap" : "strict",
+      heatTopN: clamp(parseIntSafe(s.heatTopN, DEFAULT_SETTINGS.heatTopN), 1, 50),
+      absence: s.absence === true,
+      walkRadius: clamp(parseIntSafe(s.walkRadius, DEFAULT_SETTINGS.walkRadius), 1, 20),
+      planOrder: PLAN_ORDERS.includes(s.planOrder) ? s.planOrder : DEFAULT_SETTINGS.planOrder,
+      planAvoidDug: s.planAvoidDug === true,
+      detection: cloneDetection(s.detection),
+      qualityBands: cloneBands(s.qualityBands)
+    };
+  }
 
-    let started = false;
-    let mineOre = null;
-    let mineMaxQl = null;
+  // Upgrades any stored/imported state object to SCHEMA_VERSION and fills defaults.
+  // Returns null if obj is not a session at all.
+  function migrateState(obj) {
+    if (!obj || !Array.isArray(obj.entries)) return null;
+    const s = { ...obj };
+    const from = Number.isFinite(s.schemaVersion) ? s.schemaVersion : 5;
+
+    if (from <= 5) {
+      // Up to v5 entries were { x, y, dx, dy, parsed, raw }; very old ones may lack deltas or parsed data.
+      let prev = { x: 0, y: 0 };
+      s.entries = s.entries.map(e => {
+        const out = { ...e };
+        if (!Number.isFinite(out.dx) || !Number.isFinite(out.dy)) {
+          out.dx = parseIntSafe(out.x, 0) - prev.x;
+          out.dy = parseIntSafe(out.y, 0) - prev.y;
+        }
+        if (!out.parsed && out.raw) out.parsed = parseLogBlock(out.raw);
+        if (!out.parsed) out.parsed = { mineOre: null, mineMaxQl: null, traces: [] };
+        if (!Array.isArray(out.parsed.traces)) out.parsed.traces = [];
+        prev = { x: prev.x + out.dx, y: prev.y + out.dy };
+        return out;
+      });
+    }
 
-    const traces = [];
+    s.schemaVersion = SCHEMA_VERSION;
+    // Vein ids are now numbered per solve.
+    delete s.nextVeinId;
+    s.entries = s.entries.map(cleanEntry).filter(Boolean);
+    s.marks = (Array.isArray(s.marks) ? s.marks : []).map(cleanMark).filter(Boolean);
+    s.terrain = cleanTerrain(s.terrain);
+    s.anchor = s.anchor && Number.isFinite(s.anchor.x) && Number.isFinite(s.anchor.y)
+      ? { x: cleanCoord(s.anchor.x), y: cleanCoord(s.anchor.y) }
+      : null;
+    if (!s.view || typeof s.view.layer !== "string") s.view = { layer: LAYER_ALL };
+    s.settings = cleanSettings(s.settings);
+
+    recomputePositions(s.entries);
+    return s;
+  }
 
-    // Start rule you asked for:
-    // - Underground: ignore until “You start to analyse...”
-    // - Surface: also accept “You start to gather fragments...”
-    const startRegex = /(you start to gather fragments of the rock\.)|(you start to analys(e|z)e the (shard|ore)\.)/i;
-    const endRegex = /you finish analys(e|z)ing the (shard|ore)\./i;
+  // ---------- Projects ----------
+  // Each project is its own state, stored under its own key. The default project keeps the
+  // plain STORAGE_KEY so sessions from before projects existed open as "Default".
+  const PROJECTS_KEY = "wo_shard_analyzer_projects";
+  const DEFAULT_PROJECT_ID = "default";
 
-    const mineRegex = /you would mine (.+?) here\./i;
-    const maxQlRegex = /it has a max quality of (\d+)\./i;
+  let projects = { activeId: DEFAULT_PROJECT_ID, list: [{ id: DEFAULT_PROJECT_ID, name: "Default" }] };
 
-    // More permissive: any “… trace of <descriptor> (<dir>).”
-    const traceRegex = /\btrace of\s+(.+?)\s*\((.+?)\)\./i;
+  function projectStorageKey(id) {
+    return id === DEFAULT_PROJECT_ID ? STORAGE_KEY : `${STORAGE_KEY}:${id}`;
+  }
 
-    for (const line of lines) {
-      if (!started) {
-        if (startRegex.test(line)) started = true;
-        else continue;
-      }
+  function saveProjects() {
+    try { localStorage.setItem(PROJECTS_KEY, JSON.stringify(projects)); } catch (_) {}
+  }
+  function loadProjects() {
+    try {
+      const obj = JSON.parse(localStorage.getItem(PROJECTS_KEY) || "null");
+      if (!obj || !Array.isArray(obj.list) || obj.list.length === 0) return;
+      projects = obj;
+      if (!projects.list.some(p => p.id === projects.activeId)) projects.activeId = projects.list[0].id;
+    } catch (_) {}
+  }
 
-      if (endRegex.test(line)) break;
+  function activeProject() {
+    return projects.list.find(p => p.id === projects.activeId);
+  }
 
-      // Mining context (used ONLY if it’s actually ore, not shards)
-      const mMine = line.match(mineRegex);
-      if (mMine) {
-        const ore = oreNormalize(mMine[1]);
-        if (ore) mineOre = ore;
-        continue;
+  // label names the user action that led here; it files the previous state in the edit history.
+  // View-only changes (layer, project switch) save without one.
+  // The state is written first. The edit history shares its storage, so it gives up its oldest steps
+  // until the state fits.
+  function saveState(label) {
+    stateRevision++;
+    if (label) recordEdit(label);
+    else if (editBase) editBase = snapshotState(state);
+    const json = JSON.stringify(state);
+    for (;;) {
+      try {
+        localStorage.setItem(projectStorageKey(projects.activeId), json);
+        break;
+      } catch (e) {
+        if (editHistory.past.length === 0) {
+          warnSaveFailed(e);
+          return;
+        }
+        editHistory.past.shift();
+        saveEditHistory();
       }
+    }
+    saveWarned = false;
+    if (label) saveEditHistory();
+  }
 
-      const mQl = line.match(maxQlRegex);
-      if (mQl) {
-        mineMaxQl = parseIntSafe(mQl[1], null);
-        continue;
+  // Once per run of failed saves, so a full storage does not alert on every click.
+  let saveWarned = false;
+  function warnSaveFailed(e) {
+    if (saveWarned) return;
+    saveWarned = true;
+    alert(`This change could not be saved in the browser's storage (${e.message}). Export the session or delete a project to make room.`);
+  }
+  function loadState() {
+    stateRevision++;
+    state = freshState();
+    const key = projectStorageKey(projects.activeId);
+    const keys = projects.activeId === DEFAULT_PROJECT_ID ? [key, ...LEGACY_STORAGE_KEYS] : [key];
+    try {
+      for (const k of keys) {
+        const s = localStorage.getItem(k);
+        if (!s) continue;
+        const migrated = migrateState(JSON.parse(s));
+        if (!migrated) continue;
+        state = migrated;
+        if (k !== key) saveState();
+        break;
       }
+    } catch (_) {}
+    loadEditHistory();
+  }
 
-      const mTrace = line.match(traceRegex);
-      if (mTrace) {
-        const strength = extractStrengthWord(line);
-        const descriptor = mTrace[1].trim();
-        const dirPhrase = mTrace[2].trim();
-
-        const dir = parseDirectionPhrase(dirPhrase);
-        if (!dir) continue;
+  // ---------- Edit history ----------
+  // Undo/redo over whole-state snapshots: { rest: JSON of the state without entries, entries: [pool key] }.
+  // Entries are pooled by content, so the many snapshots that share an entry store it once.
+  // Persisted per project next to its state; the oldest steps are dropped only if storage runs out.
+  let editHistory = { past: [], future: [] }; // [{ label, at, snap }]; past[i].snap is the state before that action
+  let editBase = null; // snap of the state as last saved
+  let entryPool = new Map(); // pool key => entry JSON
 
-        const parsed = parseOreAndAdjFromDescriptor(descriptor);
-        if (!parsed) continue;
+  function historyStorageKey(id) {
+    return `${projectStorageKey(id)}:history`;
+  }
 
-        traces.push({
-          ore: parsed.ore || "Unknown",
-          adj: parsed.adj,
-          strengthWord: strength,
-          dir
-        });
-      }
+  function poolEntry(json) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < json.length; i++) {
+      h ^= json.charCodeAt(i);
+      h = Math.imul(h, 0x01000193);
     }
+    let key = (h >>> 0).toString(36);
+    while (entryPool.has(key) && entryPool.get(key) !== json) key += "_";
+    entryPool.set(key, json);
+    return key;
+  }
 
-    if (!started) return null;
-    return { mineOre, mineMaxQl, traces };
+  function snapshotState(s) {
+    return {
+      rest: JSON.stringify({ ...s, entries: [] }),
+      entries: s.entries.map(e => poolEntry(JSON.stringify(e)))
+    };
   }
 
-  // ---------- State ----------
-  let state = { entries: [], nextVeinId: 1 };
+  function stateFromSnapshot(snap) {
+    return migrateState({ ...JSON.parse(snap.rest), entries: snap.entries.map(k => JSON.parse(entryPool.get(k))) });
+  }
 
-  function saveState() {
-    try { localStorage.setItem(STORAGE_KEY, JSON.stringify(state)); } catch (_) {}
+  function recordEdit(label) {
+    editHistory.past.push({ label, at: Date.now(), snap: editBase });
+    editHistory.future = [];
+    editBase = snapshotState(state);
   }
-  function loadState() {
+
+  function saveEditHistory() {
+    const snaps = [editBase, ...editHistory.past.map(r => r.snap), ...editHistory.future.map(r => r.snap)];
+    const used = new Set(snaps.flatMap(s => s.entries));
+    for (const k of [...entryPool.keys()]) if (!used.has(k)) entryPool.delete(k);
+
+    const key = historyStorageKey(projects.activeId);
+    for (;;) {
+      const pool = Object.fromEntries(entryPool);
+      try {
+        localStorage.setItem(key, JSON.stringify({ past: editHistory.past, future: editHistory.future, pool }));
+        return;
+      } catch (_) {
+        if (editHistory.past.length === 0) return;
+        editHistory.past.shift();
+      }
+    }
+  }
+
+  function loadEditHistory() {
+    editHistory = { past: [], future: [] };
+    entryPool = new Map();
     try {
-      const s = localStorage.getItem(STORAGE_KEY);
-      if (!s) return;
-      const obj = JSON.parse(s);
-      if (!obj || !Array.isArray(obj.entries)) return;
-      state = obj;
-      if (!Number.isFinite(state.nextVeinId)) state.nextVeinId = 1;
+      const obj = JSON.parse(localStorage.getItem(historyStorageKey(projects.activeId)) || "null");
+      if (obj && Array.isArray(obj.past) && Array.isArray(obj.future) && obj.pool) {
+        entryPool = new Map(Object.entries(obj.pool));
+        const ok = r => r && r.snap && typeof r.snap.rest === "string" && r.snap.entries.every(k => entryPool.has(k));
+        editHistory = { past: obj.past.filter(ok), future: obj.future.filter(ok) };
+      }
     } catch (_) {}
+    editBase = snapshotState(state);
+  }
+
+  // Moves `steps` actions from one stack to the other and restores the state they lead to.
+  function travel(from, to, steps) {
+    let snap = null;
+    for (let i = 0; i < steps && from.length; i++) {
+      const rec = from.pop();
+      to.push({ label: rec.label, at: rec.at, snap: editBase });
+      editBase = snap = rec.snap;
+    }
+    if (!snap) return;
+    state = stateFromSnapshot(snap);
+    saveState();
+    saveEditHistory();
+    editingIndex = -1;
+    closeTileMenu();
+    syncSolverControls();
+    renderDetectionPanel();
+    renderBandsPanel();
+    renderProjectBar();
+    render();
+  }
+
+  function undoEdit(steps = 1) { travel(editHistory.past, editHistory.future, steps); }
+  function redoEdit(steps = 1) { travel(editHistory.future, editHistory.past, steps); }
+
+  // Newest first. Each row is the state right after its action; "Restore" undoes or redoes up to it.
+  function renderHistory() {
+    if (undoHistoryBtn) undoHistoryBtn.disabled = editHistory.past.length === 0;
+    if (redoHistoryBtn) redoHistoryBtn.disabled = editHistory.future.length === 0;
+    if (!historyListEl) return;
+    const time = at => new Date(at).toLocaleTimeString();
+    const { past, future } = editHistory;
+    const row = (label, at, cls, attr) => `
+      <div class="historyRow ${cls}">
+        <span>${escapeHtml(label)}</span>
+        <span class="hint">${at ? time(at) : ""}</span>
+        ${attr ? `<button class="btn small" type="button" ${attr}>Restore</button>` : `<span class="hint">current</span>`}
+      </div>`;
+    historyListEl.innerHTML = [
+      ...future.map((r, j) => row(r.label, r.at, "undone", `data-redo="${future.length - j}"`)),
+      ...past.map((r, i) => row(r.label, r.at, "", i === past.length - 1 ? "" : `data-undo="${past.length - 1 - i}"`)).reverse(),
+      row("Start of history", 0, "", past.length ? `data-undo="${past.length}"` : "")
+    ].join("");
+  }
+
+  function onHistoryClick(ev) {
+    const btn = ev.target.closest("button");
+    if (!btn) return;
+    if (btn.dataset.undo) undoEdit(parseIntSafe(btn.dataset.undo, 0));
+    else if (btn.dataset.redo) redoEdit(parseIntSafe(btn.dataset.redo, 0));
+  }
+
+  // Text fields keep the browser's own undo.
+  function onHistoryKey(ev) {
+    if (!(ev.ctrlKey || ev.metaKey) || ev.altKey) return;
+    const key = ev.key.toLowerCase();
+    if (key !== "z" && key !== "y") return;
+    if (ev.target.closest && ev.target.closest("input, textarea, select, [contenteditable]")) return;
+    ev.preventDefault();
+    if (key === "y" || ev.shiftKey) redoEdit();
+    else undoEdit();
+  }
+
+  // Wurm tile coordinates grow east (x) and SOUTH (y); ours grow north.
+  function worldCoord(x, y) {
+    if (!state.anchor) return null;
+    return { x: state.anchor.x + x, y: state.anchor.y - y };
   }
 
-  // ---------- Multiplicity / solver ----------
-  function bestMatchingVein(veins, ore, qlDisplay, candidateSet) {
-    let best = null, bestScore = 0;
-    for (const v of veins) {
-      if (v.ore !== ore) continue;
-      if ((v.qlDisplay || "") !== (qlDisplay || "")) continue;
-      if (!v.feasible || v.feasible.size === 0) continue;
 
-      let overlap = 0;
-      for (const k of candidateSet) if (v.feasible.has(k)) overlap++;
-      if (overlap > bestScore) { bestScore = overlap; best = v; }
+  // ---------- Solver ----------
+  // Solves run in shard-worker.js so long sessions do not block the page. Where workers are unavailable
+  // (no Worker, or a browser refusing them on file:// pages) the same cached solver runs here instead.
+  const localSolver = core.createSolver();
+  let solveWorker = null;
+  let solveBusy = false;   // a request is with the worker
+  let solveQueued = false; // the state changed while it was busy
+  let solvedRevision = -1; // stateRevision behind lastSolve (or in flight)
+
+  function startSolveWorker() {
+    if (typeof Worker === "undefined") return;
+    try {
+      solveWorker = new Worker("shard-worker.js");
+    } catch (_) {
+      solveWorker = null;
+      return;
     }
-    return bestScore > 0 ? best : null;
+    solveWorker.onmessage = onWorkerSolved;
+    solveWorker.onerror = ev => {
+      ev.preventDefault();
+      stopSolveWorker();
+    };
+  }
+
+  // Falls back to solving on the page, re-running whatever was in flight.
+  function stopSolveWorker() {
+    if (!solveWorker) return;
+    solveWorker.terminate();
+    solveWorker = null;
+    solveBusy = solveQueued = false;
+    solvedRevision = -1;
+    render();
   }
 
-  function createVeinInstance(ore, qlDisplay, qlColor, feasibleSet) {
+  function solveInput() {
     return {
-      id: state.nextVeinId++,
-      ore,
-      qlDisplay: qlDisplay || "",
-      qlColor: qlColor || "#cfd8dc",
-      feasible: new Set(feasibleSet),
-      locked: false,
-      lockedCoord: null
+      entries: state.entries.map(e => ({ dx: e.dx, dy: e.dy, x: e.x, y: e.y, parsed: e.parsed, enabled: e.enabled, absence: e.absence })),
+      settings: state.settings,
+      marks: state.marks,
+      terrain: state.terrain
     };
   }
 
-  function lockVeinAt(veins, ore, qlDisplay, qlColor, x, y) {
-    const k = coordKey(x, y);
-    for (const v of veins) {
-      if (v.ore === ore && (v.qlDisplay || "") === (qlDisplay || "")) {
-        if (v.feasible && v.feasible.has(k)) {
-          v.feasible = new Set([k]);
-          v.locked = true;
-          v.lockedCoord = { x, y };
-          v.qlColor = qlColor || v.qlColor;
-          return;
-        }
-      }
+  // Solves when entries, marks, terrain or settings changed since the last solve. Locally the result is
+  // in lastSolve on return; with the worker the map shows the previous solve until it answers.
+  function requestSolve() {
+    if (solvedRevision === stateRevision) return;
+    if (solveWorker && solveBusy) {
+      solveQueued = true;
+      return;
+    }
+    solvedRevision = stateRevision;
+    const input = solveInput();
+    if (!solveWorker) {
+      setSolve(localSolver.solve(input.entries, input.settings, { marks: input.marks, terrain: input.terrain }), solvedRevision);
+      return;
     }
-    const vNew = createVeinInstance(ore, qlDisplay, qlColor, [k]);
-    vNew.locked = true;
-    vNew.lockedCoord = { x, y };
-    veins.push(vNew);
+    solveBusy = true;
+    solveWorker.postMessage(input);
   }
 
-  function incorporateCandidates(veins, ore, qlDisplay, qlColor, candidateSet) {
-    const match = bestMatchingVein(veins, ore, qlDisplay, candidateSet);
-    if (!match) {
-      veins.push(createVeinInstance(ore, qlDisplay, qlColor, candidateSet));
+  function onWorkerSolved(ev) {
+    if (ev.data.error) {
+      stopSolveWorker();
       return;
     }
-    match.feasible = setIntersect(match.feasible, candidateSet);
-    if (match.feasible.size === 1) {
-      const only = [...match.feasible][0];
-      const c = parseCoordKey(only);
-      match.locked = true;
-      match.lockedCoord = { x: c.x, y: c.y };
+    solveBusy = false;
+    setSolve(core.unpackSolve(ev.data.solved), solvedRevision);
+    if (solveQueued) {
+      solveQueued = false;
+      requestSolve();
     }
+    renderSolved();
   }
 
-  function rebuildVeinsFromEntries() {
-    const veins = [];
+  // Timeline replays and next-step suggestions run in a second worker, so neither holds up the live solve.
+  // Started on first use, and only where the live solve got its worker; not started again once it failed.
+  let sideWorker = null;
+  let sideWorkerFailed = false;
+
+  function startSideWorker() {
+    if (sideWorker || sideWorkerFailed || !solveWorker) return;
+    try {
+      sideWorker = new Worker("shard-worker.js");
+    } catch (_) {
+      sideWorker = null;
+      return;
+    }
+    sideWorker.onmessage = ev => {
+      if (ev.data.error) stopSideWorker();
+      else if (ev.data.suggested) onSuggested(ev.data.suggested, ev.data.basis, ev.data.goal);
+      else onTimelineReplayed(ev.data.replayed.map(core.unpackSolve), ev.data.revision);
+    };
+    sideWorker.onerror = ev => {
+      ev.preventDefault();
+      stopSideWorker();
+    };
+  }
 
-    for (const entry of state.entries) {
-      const source = { x: entry.x, y: entry.y };
-      const parsed = entry.parsed;
+  // Falls back to running on the page, re-running whatever was in flight.
+  function stopSideWorker() {
+    if (!sideWorker) return;
+    sideWorker.terminate();
+    sideWorker = null;
+    sideWorkerFailed = true;
+    replayBusy = false;
+    timelineRevision = -1;
+    updateTimeline();
+    if (suggestPending) requestSuggestions(suggestPending.goal);
+  }
 
-      // Lock at source ONLY if mining ore + numeric max QL
-      if (parsed.mineOre && Number.isFinite(parsed.mineMaxQl)) {
-        const ore = parsed.mineOre;
-        const ql = parsed.mineMaxQl;
-        lockVeinAt(veins, ore, String(ql), qlColorForNumber(ql), source.x, source.y);
-      }
+  // ---------- Layers ----------
+  // Layer value is one of LAYER_ALL, LAYER_UNLOCKED or a vein key ("ore||qlDisplay").
+  // Stored in state.view so the selection survives new steps and reloads.
+  const LAYER_ALL = "all";
+  const LAYER_UNLOCKED = "unlocked";
 
-      const groups = new Map(); // key => candidateSet
+  function veinKey(v) { return `${v.ore}||${v.qlDisplay || ""}`; }
 
-      for (const t of parsed.traces) {
-        const ore = t.ore || "Unknown";
+  function veinDisplayName(ore, qlDisplay) {
+    const oreName = ore === "Unknown" ? "Unknown" : titleCase(ore);
+    return qlDisplay ? `${oreName} ${qlDisplay}` : oreName;
+  }
 
-        const band = bandForAdj(t.adj);
-        const qlDisplay = band ? band.label : "";
-        const qlColor = band ? band.color : "#cfd8dc";
+  function layerSummaries(veins) {
+    const out = new Map(); // key => { ore, qlDisplay, instances, locked, tiles }
+    for (const v of veins) {
+      const key = veinKey(v);
+      if (!out.has(key)) out.set(key, { ore: v.ore, qlDisplay: v.qlDisplay || "", instances: 0, locked: 0, tiles: 0 });
+      const s = out.get(key);
+      s.instances++;
+      if (v.locked) s.locked++;
+      s.tiles += v.feasible.size;
+    }
+    return out;
+  }
+
+  function veinsForLayer(veins, layer) {
+    if (layer === LAYER_ALL) return veins;
+    if (layer === LAYER_UNLOCKED) return veins.filter(v => !v.locked);
+    return veins.filter(v => veinKey(v) === layer);
+  }
 
-        const d = strengthToDistance(t.strengthWord);
-        const cand = wedgeCandidates(source, d, t.dir);
-        if (cand.size === 0) continue;
+  function layerOptionText(s) {
+    const name = veinDisplayName(s.ore, s.qlDisplay);
+    if (s.instances === 0) return `${name} — no candidates`;
+    if (s.locked === s.instances) return `${name} — locked`;
+    const inst = s.instances > 1 ? ` in ${s.instances} veins` : "";
+    return `${name} — ${s.tiles} tiles${inst}`;
+  }
 
-        const key = `${ore}||${qlDisplay}||${qlColor}`;
-        if (!groups.has(key)) groups.set(key, cand);
-        else groups.set(key, setIntersect(groups.get(key), cand));
-      }
+  function renderLayerSelect(veins) {
+    if (!layerSelectEl) return;
+    const summaries = layerSummaries(veins);
+    const layer = state.view.layer;
 
-      for (const [key, candSet] of groups.entries()) {
-        if (!candSet || candSet.size === 0) continue;
-        const [ore, qlDisplay, qlColor] = key.split("||");
-        incorporateCandidates(veins, ore, qlDisplay, qlColor, candSet);
-      }
+    // Keep a stale vein selection visible (e.g. after undo) instead of silently switching away.
+    if (layer !== LAYER_ALL && layer !== LAYER_UNLOCKED && !summaries.has(layer)) {
+      const [ore, qlDisplay] = layer.split("||");
+      summaries.set(layer, { ore, qlDisplay: qlDisplay || "", instances: 0, locked: 0, tiles: 0 });
     }
 
-    return veins;
+    let allTiles = 0, unlockedTiles = 0;
+    for (const v of veins) {
+      allTiles += v.feasible.size;
+      if (!v.locked) unlockedTiles += v.feasible.size;
+    }
+
+    layerSelectEl.innerHTML = "";
+    const addOption = (value, text) => {
+      const o = document.createElement("option");
+      o.value = value;
+      o.textContent = text;
+      layerSelectEl.appendChild(o);
+    };
+    addOption(LAYER_ALL, `All veins — ${allTiles} tiles`);
+    addOption(LAYER_UNLOCKED, `Hide locked — ${unlockedTiles} tiles`);
+
+    const keys = [...summaries.keys()].sort((a, b) => a.localeCompare(b));
+    for (const key of keys) addOption(key, layerOptionText(summaries.get(key)));
+
+    layerSelectEl.value = layer;
   }
 
   // ---------- Rendering ----------
@@ -493,16 +774,16 @@ document.addEventListener("DOMContentLoaded", () => {
     let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
 
     for (const v of veins) {
-      for (const k of v.feasible) {
-        const c = parseCoordKey(k);
-        minX = Math.min(minX, c.x);
-        minY = Math.min(minY, c.y);
-        maxX = Math.max(maxX, c.x);
-        maxY = Math.max(maxY, c.y);
-      }
+      v.feasible.forEachTile((x, y) => {
+        minX = Math.min(minX, x);
+        minY = Math.min(minY, y);
+        maxX = Math.max(maxX, x);
+        maxY = Math.max(maxY, y);
+      });
     }
 
-    for (const e of state.entries) {
+    // Painted terrain is left out on purpose: painting near the edge must not rescale the map mid-stroke.
+    for (const e of [...state.entries, ...state.marks, ...(suggestions ? suggestions.list : [])]) {
       minX = Math.min(minX, e.x);
       minY = Math.min(minY, e.y);
       maxX = Math.max(maxX, e.x);
@@ -520,50 +801,77 @@ document.addEventListener("DOMContentLoaded", () => {
   }
 
   function tileToPx(x, y, bounds, cell, margin) {
-    const px = margin + (x - bounds.minX) * cell;
-    const py = margin + (bounds.maxY - y) * cell;
+    const px = margin + viewport.panX + (x - bounds.minX) * cell;
+    const py = margin + viewport.panY + (bounds.maxY - y) * cell;
     return { px, py };
   }
 
+  // Inverse of tileToPx: canvas pixel => tile under it.
+  function pxToTile(px, py, bounds, cell, margin) {
+    return {
+      x: bounds.minX + Math.floor((px - margin - viewport.panX) / cell),
+      y: bounds.maxY - Math.floor((py - margin - viewport.panY) / cell)
+    };
+  }
+
   function drawUniformGrid(bounds, cell, margin) {
     ctx.save();
     ctx.lineWidth = 1;
     ctx.strokeStyle = "rgba(255,255,255,0.08)";
     const cols = bounds.maxX - bounds.minX + 1;
     const rows = bounds.maxY - bounds.minY + 1;
+    const ox = margin + viewport.panX;
+    const oy = margin + viewport.panY;
 
     for (let i = 0; i <= cols; i++) {
-      const x = margin + i * cell;
+      const x = ox + i * cell;
       ctx.beginPath();
-      ctx.moveTo(x, margin);
-      ctx.lineTo(x, margin + rows * cell);
+      ctx.moveTo(x, oy);
+      ctx.lineTo(x, oy + rows * cell);
       ctx.stroke();
     }
 
     for (let j = 0; j <= rows; j++) {
-      const y = margin + j * cell;
+      const y = oy + j * cell;
       ctx.beginPath();
-      ctx.moveTo(margin, y);
-      ctx.lineTo(margin + cols * cell, y);
+      ctx.moveTo(ox, y);
+      ctx.lineTo(ox + cols * cell, y);
       ctx.stroke();
     }
     ctx.restore();
   }
 
-  function hatchCell(px, py, cell) {
+  // Outline colours told apart at a glance, handed out by vein id so a vein keeps its colour across layers.
+  const VEIN_OUTLINE_COLORS = ["#ff6b6b", "#4dd0e1", "#ffd54f", "#81c784", "#ba68c8", "#ff8a65", "#64b5f6", "#f06292", "#aed581", "#e0e0e0"];
+
+  // Replayed veins carry their timeline series' colour, so map and chart agree.
+  function veinOutlineColor(v) {
+    return v.outline || VEIN_OUTLINE_COLORS[(v.id - 1) % VEIN_OUTLINE_COLORS.length];
+  }
+
+  // Strokes the border between a vein's tiles and the rest, optionally tinting the tiles too.
+  function drawRegion(tiles, bounds, cell, margin, color, tint) {
     ctx.save();
-    ctx.beginPath();
-    ctx.rect(px, py, cell, cell);
-    ctx.clip();
-    ctx.strokeStyle = "rgba(255,255,255,0.12)";
-    ctx.lineWidth = 1;
-    const step = 6;
-    for (let i = -cell; i < cell * 2; i += step) {
-      ctx.beginPath();
-      ctx.moveTo(px + i, py + cell);
-      ctx.lineTo(px + i + cell, py);
-      ctx.stroke();
+    if (tint) {
+      ctx.fillStyle = color;
+      ctx.globalAlpha = 0.12;
+      tiles.forEachTile((x, y) => {
+        const { px, py } = tileToPx(x, y, bounds, cell, margin);
+        ctx.fillRect(px, py, cell, cell);
+      });
+      ctx.globalAlpha = 1;
     }
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    tiles.forEachTile((x, y) => {
+      const { px, py } = tileToPx(x, y, bounds, cell, margin);
+      if (!tiles.hasXY(x, y + 1)) { ctx.moveTo(px, py); ctx.lineTo(px + cell, py); }
+      if (!tiles.hasXY(x, y - 1)) { ctx.moveTo(px, py + cell); ctx.lineTo(px + cell, py + cell); }
+      if (!tiles.hasXY(x - 1, y)) { ctx.moveTo(px, py); ctx.lineTo(px, py + cell); }
+      if (!tiles.hasXY(x + 1, y)) { ctx.moveTo(px + cell, py); ctx.lineTo(px + cell, py + cell); }
+    });
+    ctx.stroke();
     ctx.restore();
   }
 
@@ -578,75 +886,172 @@ document.addEventListener("DOMContentLoaded", () => {
     ctx.closePath();
   }
 
-  function drawLabelCentered(textTop, textBottom, centerX, centerY, color) {
-    ctx.save();
-    const padX = 10, padY = 8;
-    ctx.font = "16px system-ui, -apple-system, Segoe UI, Roboto, sans-serif";
-    const wTop = ctx.measureText(textTop).width;
-    const wBot = textBottom ? ctx.measureText(textBottom).width : 0;
-    const boxW = Math.max(wTop, wBot) + padX * 2;
-    const boxH = textBottom ? 48 : 32;
-
-    const x = centerX - boxW / 2;
-    const y = centerY - boxH / 2;
-
-    ctx.fillStyle = "rgba(0,0,0,0.55)";
-    roundRect(x, y, boxW, boxH, 8);
-    ctx.fill();
-
-    ctx.fillStyle = "rgba(255,255,255,0.92)";
-    ctx.textAlign = "center";
-    ctx.textBaseline = "middle";
-    ctx.fillText(textTop, centerX, y + (textBottom ? 16 : boxH / 2));
-
-    if (textBottom) {
-      ctx.fillStyle = color || "rgba(255,255,255,0.92)";
-      ctx.fillText(textBottom, centerX, y + 34);
+  function drawVeins(bounds, cell, margin, veins) {
+    const labels = [];
+    for (const v of veins) {
+      drawRegion(v.feasible, bounds, cell, margin, veinOutlineColor(v), true);
+      const anchor = labelAnchor(v.feasible);
+      if (!anchor) continue;
+      const { px, py } = tileToPx(anchor.x, anchor.y, bounds, cell, margin);
+      labels.push(veinLabel(v, v.qlDisplay || "", px + cell / 2, py + cell / 2));
     }
-    ctx.restore();
+    return labels;
   }
 
-  function drawVeins(bounds, cell, margin, veins) {
+  function drawHeat(bounds, cell, margin, veins) {
+    const labels = [];
     for (const v of veins) {
-      const oreName = v.ore === "Unknown" ? "Unknown" : titleCase(v.ore);
-      const qlText = v.qlDisplay || "";
+      const outline = veinOutlineColor(v);
+
+      ctx.save();
+      ctx.fillStyle = v.qlColor;
+      v.heat.forEachTile((x, y, score) => {
+        const { px, py } = tileToPx(x, y, bounds, cell, margin);
+        ctx.globalAlpha = 0.1 + 0.6 * score;
+        ctx.fillRect(px, py, cell, cell);
+      });
+      ctx.restore();
+      drawRegion(v.feasible, bounds, cell, margin, outline, false);
 
-      if (v.locked && v.feasible.size === 1) {
-        const only = [...v.feasible][0];
-        const c = parseCoordKey(only);
+      ctx.save();
+      ctx.strokeStyle = outline;
+      ctx.lineWidth = 2;
+      ctx.fillStyle = "rgba(255,255,255,0.92)";
+      ctx.font = `${Math.max(9, Math.floor(cell * 0.5))}px system-ui, -apple-system, Segoe UI, Roboto, sans-serif`;
+      ctx.textAlign = "center";
+      ctx.textBaseline = "middle";
+      v.top.forEach((k, rank) => {
+        const c = parseCoordKey(k);
         const { px, py } = tileToPx(c.x, c.y, bounds, cell, margin);
-        drawLabelCentered(oreName, qlText, px + cell / 2, py + cell / 2, v.qlColor);
-        continue;
+        ctx.strokeRect(px + 3, py + 3, cell - 6, cell - 6);
+        if (cell >= 14) ctx.fillText(String(rank + 1), px + cell / 2, py + cell / 2);
+      });
+      ctx.restore();
+
+      if (v.top.length) {
+        const best = parseCoordKey(v.top[0]);
+        const { px, py } = tileToPx(best.x, best.y, bounds, cell, margin);
+        const pct = Math.round(v.heat.get(v.top[0]) * 100);
+        const label = veinLabel(v, `${v.qlDisplay ? v.qlDisplay + " · " : ""}best ${pct}%`, px + cell / 2, py + cell / 2);
+        // Start above the best tile rather than on it.
+        label.prefer = [0, -(label.h / 2 + cell / 2 + 6)];
+        labels.push(label);
       }
+    }
+    return labels;
+  }
+
+  // ---------- Vein labels ----------
+  // drawVeins/drawHeat return one label per vein, anchored on a candidate tile; placeLabels then moves
+  // each box off earlier labels and the legend, and drawVeinLabels joins moved boxes to their anchor.
+  const LABEL_FONT = "16px system-ui, -apple-system, Segoe UI, Roboto, sans-serif";
+  const LABEL_RINGS = 6;
+  const LABEL_GAP = 4;
+
+  // The candidate tile nearest the region's centre of mass, so a label never points at a hole in a concave region.
+  function labelAnchor(tiles) {
+    let n = 0, sx = 0, sy = 0;
+    tiles.forEachTile((x, y) => { n++; sx += x; sy += y; });
+    if (n === 0) return null;
+    const mx = sx / n, my = sy / n;
+    let best = null, bestD = Infinity;
+    tiles.forEachTile((x, y) => {
+      const d = (x - mx) ** 2 + (y - my) ** 2;
+      if (d < bestD) { bestD = d; best = { x, y }; }
+    });
+    return best;
+  }
 
-      let minPx = Infinity, minPy = Infinity, maxPx = -Infinity, maxPy = -Infinity;
+  function veinLabel(v, textBottom, ax, ay) {
+    const textTop = v.ore === "Unknown" ? "Unknown" : titleCase(v.ore);
+    ctx.save();
+    ctx.font = LABEL_FONT;
+    const w = Math.max(ctx.measureText(textTop).width, textBottom ? ctx.measureText(textBottom).width : 0) + 20;
+    ctx.restore();
+    return {
+      textTop, textBottom, color: v.qlColor, outline: veinOutlineColor(v),
+      ax, ay, prefer: [0, 0], tiles: v.feasible.size, w, h: textBottom ? 48 : 32
+    };
+  }
 
-      for (const k of v.feasible) {
-        const c = parseCoordKey(k);
-        const { px, py } = tileToPx(c.x, c.y, bounds, cell, margin);
-        hatchCell(px, py, cell);
+  function boxesOverlap(a, b) {
+    return a.x < b.x + b.w + LABEL_GAP && b.x < a.x + a.w + LABEL_GAP &&
+      a.y < b.y + b.h + LABEL_GAP && b.y < a.y + a.h + LABEL_GAP;
+  }
 
-        minPx = Math.min(minPx, px);
-        minPy = Math.min(minPy, py);
-        maxPx = Math.max(maxPx, px + cell);
-        maxPy = Math.max(maxPy, py + cell);
+  // Tries the preferred spot, then rings of eight spots further and further out, and keeps the first box
+  // that stays on the canvas and clear of everything placed so far. Smaller regions go first since they
+  // have fewer good spots. A label with no free spot stays on its preferred one.
+  function placeLabels(labels, obstacles) {
+    const taken = obstacles.slice();
+    for (const l of labels.slice().sort((a, b) => a.tiles - b.tiles)) {
+      const spots = [l.prefer];
+      for (let k = 1; k <= LABEL_RINGS; k++) {
+        for (let a = 0; a < 8; a++) {
+          const t = (a * Math.PI) / 4;
+          spots.push([l.prefer[0] + Math.sin(t) * k * (l.w * 0.6 + LABEL_GAP), l.prefer[1] - Math.cos(t) * k * (l.h + LABEL_GAP)]);
+        }
       }
+      const boxAt = ([ox, oy]) => ({ x: l.ax + ox - l.w / 2, y: l.ay + oy - l.h / 2, w: l.w, h: l.h });
+      const free = spots.map(boxAt).find(b =>
+        b.x >= 2 && b.y >= 2 && b.x + b.w <= canvas.width - 2 && b.y + b.h <= canvas.height - 2 &&
+        !taken.some(t => boxesOverlap(b, t)));
+      Object.assign(l, free || boxAt(l.prefer));
+      taken.push(l);
+    }
+  }
+
+  function drawVeinLabels(labels) {
+    // Leaders first, so boxes cover any leader that crosses them.
+    for (const l of labels) {
+      const ex = clamp(l.ax, l.x, l.x + l.w), ey = clamp(l.ay, l.y, l.y + l.h);
+      if (ex === l.ax && ey === l.ay) continue;
+      ctx.save();
+      ctx.strokeStyle = l.outline;
+      ctx.fillStyle = l.outline;
+      ctx.lineWidth = 1.5;
+      ctx.beginPath();
+      ctx.moveTo(ex, ey);
+      ctx.lineTo(l.ax, l.ay);
+      ctx.stroke();
+      ctx.beginPath();
+      ctx.arc(l.ax, l.ay, 3, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.restore();
+    }
+
+    for (const l of labels) {
+      const cx = l.x + l.w / 2;
+      ctx.save();
+      ctx.font = LABEL_FONT;
+      ctx.fillStyle = "rgba(0,0,0,0.55)";
+      ctx.strokeStyle = l.outline;
+      ctx.lineWidth = 1.5;
+      roundRect(l.x, l.y, l.w, l.h, 8);
+      ctx.fill();
+      ctx.stroke();
 
-      if (Number.isFinite(minPx)) {
-        drawLabelCentered(oreName, qlText, (minPx + maxPx) / 2, (minPy + maxPy) / 2, v.qlColor);
+      ctx.fillStyle = "rgba(255,255,255,0.92)";
+      ctx.textAlign = "center";
+      ctx.textBaseline = "middle";
+      ctx.fillText(l.textTop, cx, l.y + (l.textBottom ? 16 : l.h / 2));
+      if (l.textBottom) {
+        ctx.fillStyle = l.color || "rgba(255,255,255,0.92)";
+        ctx.fillText(l.textBottom, cx, l.y + 34);
       }
+      ctx.restore();
     }
   }
 
-  function drawSources(bounds, cell, margin) {
-    for (let i = 0; i < state.entries.length; i++) {
+  function drawSources(bounds, cell, margin, count = state.entries.length) {
+    for (let i = 0; i < count; i++) {
       const e = state.entries[i];
       const { px, py } = tileToPx(e.x, e.y, bounds, cell, margin);
       const cx = px + cell / 2;
       const cy = py + cell / 2;
 
       ctx.save();
-      ctx.strokeStyle = "#ff3333";
+      ctx.strokeStyle = isEntryEnabled(e) ? "#ff3333" : "rgba(255,51,51,0.35)";
       ctx.lineWidth = 2;
       ctx.beginPath();
       ctx.moveTo(cx - 10, cy - 10);
@@ -666,92 +1071,2792 @@ document.addEventListener("DOMContentLoaded", () => {
     }
   }
 
-  function render() {
-    const veins = rebuildVeinsFromEntries();
+  function drawTerrain(bounds, cell, margin) {
+    ctx.save();
+    for (const [k, type] of Object.entries(state.terrain)) {
+      const c = parseCoordKey(k);
+      const { px, py } = tileToPx(c.x, c.y, bounds, cell, margin);
+      ctx.fillStyle = TERRAIN_TYPES[type].color;
+      ctx.fillRect(px, py, cell, cell);
+    }
+    ctx.restore();
+  }
+
+  function drawMarks(bounds, cell, margin) {
+    for (const m of state.marks) {
+      const { px, py } = tileToPx(m.x, m.y, bounds, cell, margin);
+      const cx = px + cell / 2;
+      const cy = py + cell / 2;
+      const r = Math.max(3, cell * 0.3);
+
+      ctx.save();
+      ctx.lineWidth = 2;
+      if (m.found) {
+        ctx.fillStyle = markColor(m);
+        ctx.beginPath();
+        ctx.moveTo(cx, cy - r);
+        ctx.lineTo(cx + r, cy);
+        ctx.lineTo(cx, cy + r);
+        ctx.lineTo(cx - r, cy);
+        ctx.closePath();
+        ctx.fill();
+      } else {
+        ctx.strokeStyle = "rgba(255,255,255,0.55)";
+        ctx.beginPath();
+        ctx.arc(cx, cy, r, 0, Math.PI * 2);
+        ctx.moveTo(cx - r * 0.7, cy + r * 0.7);
+        ctx.lineTo(cx + r * 0.7, cy - r * 0.7);
+        ctx.stroke();
+      }
+      ctx.restore();
+    }
+  }
+
+  // Pinned to the top-right corner regardless of zoom and pan, so PNG and SVG exports carry it too.
+  const LEGEND_VEIN_ROWS = 10;
+  const LEGEND_FONT = "12px system-ui, -apple-system, Segoe UI, Roboto, sans-serif";
+
+  // Rows are { head } titles or { text } items with a fill swatch, a vein outline or a map marker.
+  function legendLayout(veins) {
+    const rows = [{ head: "Quality" }];
+    for (const b of qualityBands()) rows.push({ fill: b.color, text: `${titleCase(b.word)} ${qlRangeText(b)}` });
+
+    rows.push({ head: "Markers" }, { marker: "source", text: "Analyse spot" });
+    if (state.marks.some(m => m.found)) rows.push({ marker: "found", text: "Dug, ore found" });
+    if (state.marks.some(m => !m.found)) rows.push({ marker: "empty", text: "Dug, nothing" });
+
+    if (veins.length) {
+      rows.push({ head: "Veins" });
+      for (const v of veins.slice(0, LEGEND_VEIN_ROWS)) {
+        const count = v.locked ? "locked" : `${v.feasible.size} tile${v.feasible.size === 1 ? "" : "s"}`;
+        rows.push({ outline: veinOutlineColor(v), text: `${veinDisplayName(v.ore, v.qlDisplay)} — ${count}` });
+      }
+      if (veins.length > LEGEND_VEIN_ROWS) rows.push({ text: `… and ${veins.length - LEGEND_VEIN_ROWS} more` });
+    }
+
+    const used = new Set(Object.values(state.terrain));
+    const terrain = Object.entries(TERRAIN_TYPES).filter(([type]) => used.has(type));
+    if (terrain.length) {
+      rows.push({ head: "Terrain" });
+      for (const [, t] of terrain) rows.push({ fill: t.color, text: t.label });
+    }
+
+    ctx.save();
+    ctx.font = LEGEND_FONT;
+    const textW = Math.max(...rows.map(r => ctx.measureText(r.head || r.text).width));
+    ctx.restore();
+    const rowH = 16, pad = 8;
+    const w = Math.max(150, Math.ceil(textW) + pad * 2 + 16);
+    return { rows, rowH, pad, x: canvas.width - w - 10, y: 10, w, h: pad * 2 + rowH * rows.length };
+  }
+
+  function drawLegend({ rows, rowH, pad, x, y, w, h }) {
+    ctx.save();
+    ctx.fillStyle = "rgba(10,14,20,0.85)";
+    ctx.strokeStyle = "rgba(255,255,255,0.14)";
+    roundRect(x, y, w, h, 8);
+    ctx.fill();
+    ctx.stroke();
+    ctx.font = LEGEND_FONT;
+    ctx.textAlign = "left";
+    ctx.textBaseline = "middle";
+    rows.forEach((r, i) => {
+      const cy = y + pad + rowH * i + rowH / 2;
+      const sx = x + pad;
+      if (r.head) {
+        ctx.fillStyle = "rgba(231,236,244,0.7)";
+        ctx.fillText(r.head, sx, cy);
+        return;
+      }
+      ctx.save();
+      if (r.fill) {
+        ctx.fillStyle = r.fill;
+        ctx.fillRect(sx, cy - 5, 10, 10);
+      } else if (r.outline) {
+        ctx.strokeStyle = r.outline;
+        ctx.lineWidth = 2;
+        ctx.strokeRect(sx + 1, cy - 4, 8, 8);
+      } else if (r.marker === "source") {
+        ctx.strokeStyle = "#ff3333";
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(sx, cy - 5);
+        ctx.lineTo(sx + 10, cy + 5);
+        ctx.moveTo(sx + 10, cy - 5);
+        ctx.lineTo(sx, cy + 5);
+        ctx.stroke();
+      } else if (r.marker === "found") {
+        ctx.fillStyle = NO_QL_COLOR;
+        ctx.beginPath();
+        ctx.moveTo(sx + 5, cy - 5);
+        ctx.lineTo(sx + 10, cy);
+        ctx.lineTo(sx + 5, cy + 5);
+        ctx.lineTo(sx, cy);
+        ctx.closePath();
+        ctx.fill();
+      } else if (r.marker === "empty") {
+        ctx.strokeStyle = "rgba(255,255,255,0.55)";
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        ctx.arc(sx + 5, cy, 4.5, 0, Math.PI * 2);
+        ctx.moveTo(sx + 2, cy + 3);
+        ctx.lineTo(sx + 8, cy - 3);
+        ctx.stroke();
+      }
+      ctx.restore();
+      ctx.fillStyle = "#e7ecf4";
+      ctx.fillText(r.text, sx + 16, cy);
+    });
+    ctx.restore();
+  }
+
+  // Latest solve, reused by pan/zoom/hover so they do not re-run the solver.
+  let lastSolve = { veins: [], shown: [], conflicts: [], revision: -1 };
+  // Latest map geometry, for hit-testing: { bounds, cell, fitCell, margin }.
+  let lastLayout = null;
+
+  function drawMap() {
+    const view = timelineView();
+    const shown = view ? veinsForLayer(view.veins, state.view.layer) : lastSolve.shown;
     drawBackground();
 
-    const bounds = computeBounds(veins);
+    // A replay keeps one frame for all its stops, so the map does not jump while scrubbing.
+    const bounds = computeBounds(view ? veinsForLayer(timeline.steps.flatMap(s => s.veins), state.view.layer) : shown);
     const cols = bounds.maxX - bounds.minX + 1;
     const rows = bounds.maxY - bounds.minY + 1;
 
     const margin = 30;
     const usableW = canvas.width - margin * 2;
     const usableH = canvas.height - margin * 2;
-    const cell = Math.max(8, Math.floor(Math.min(usableW / cols, usableH / rows)));
+    const fitCell = Math.max(8, Math.floor(Math.min(usableW / cols, usableH / rows)));
+    const cell = fitCell * viewport.zoom;
+    lastLayout = { bounds, cell, fitCell, margin };
 
     drawUniformGrid(bounds, cell, margin);
-    drawVeins(bounds, cell, margin, veins);
-    drawSources(bounds, cell, margin);
+    drawTerrain(bounds, cell, margin);
+    // Follows the solve being shown, which lags the settings while the worker is busy.
+    const labels = shown.some(v => v.heat)
+      ? drawHeat(bounds, cell, margin, shown)
+      : drawVeins(bounds, cell, margin, shown);
+    if (view) drawTimelineOverlay(bounds, cell, margin, view);
+    if (!view || view.entryIndex === null) drawMarks(bounds, cell, margin);
+    drawSources(bounds, cell, margin, view && view.entryIndex !== null ? view.entryIndex + 1 : state.entries.length);
+    drawRoute(bounds, cell, margin);
+    drawSuggestions(bounds, cell, margin);
+    drawPendingSource(bounds, cell, margin);
+    const legend = legendLayout(shown);
+    const sourceBoxes = state.entries.map(e => {
+      const { px, py } = tileToPx(e.x, e.y, bounds, cell, margin);
+      return { x: px + cell / 2 - 10, y: py + cell / 2 - 10, w: 20, h: 20 };
+    });
+    placeLabels(labels, [legend, ...sourceBoxes]);
+    drawVeinLabels(labels);
+    drawLegend(legend);
+  }
+
+  function setSolve({ veins, conflicts }, revision) {
+    lastSolve = { veins, shown: veinsForLayer(veins, state.view.layer), conflicts, revision };
+  }
+
+  function render() {
+    requestSolve();
+    renderSolved();
+  }
+
+  // Everything drawn from lastSolve; runs again when a worker solve comes back. Conflicts point at entries
+  // and marks by index, so they are left out until the solve has caught up with the state.
+  function renderSolved() {
+    const { veins, conflicts } = lastSolve;
+    lastSolve.shown = veinsForLayer(veins, state.view.layer);
+    if (suggestions && suggestions.basis !== suggestionBasis()) suggestions = null;
+    if (suggestPending && suggestPending.basis !== suggestionBasis()) suggestPending = null;
+    route = planning ? planRoute() : null;
+    updateTimeline();
+    drawMap();
 
     if (statsEl) {
       const locked = veins.filter(v => v.locked).length;
       statsEl.innerHTML = `
         <div><b>Entries:</b> ${state.entries.length}</div>
+        <div><b>Solver:</b> ${state.settings.solver === "heatmap" ? `likelihood heatmap (top ${escapeHtml(state.settings.heatTopN)})` : "strict intersection"}${solveBusy ? " — solving…" : ""}</div>
         <div><b>Vein instances:</b> ${veins.length} (locked: ${locked}, unresolved: ${veins.length - locked})</div>
         <div><b>Bounds padding:</b> ${PAD_TILES} tiles</div>
+        ${lockedVeinsHtml(veins)}
+        ${lastSolve.revision === stateRevision ? conflictsHtml(conflicts) : ""}
       `;
     }
-  }
 
-  // ---------- UX ----------
-  function currentPosition() {
-    if (state.entries.length === 0) return { x: 0, y: 0 };
-    const last = state.entries[state.entries.length - 1];
-    return { x: last.x, y: last.y };
+    renderLayerSelect(veins);
+    renderEntriesList();
+    renderStepSummary();
+    renderSuggestions();
+    renderPlanner();
+    renderHistory();
+    renderTimeline();
   }
 
-  function addEntry() {
-    const dx = parseIntSafe(stepXEl ? stepXEl.value : 0, 0);
-    const dy = parseIntSafe(stepYEl ? stepYEl.value : 0, 0);
-
-    const raw = (logTextEl.value || "").trim();
-    if (!raw) { alert("Paste a log block first."); return; }
-
-    const parsed = parseLogBlock(raw);
-    if (!parsed) {
-      alert("No usable session found. Paste must include 'You start to gather fragments...' or 'You start to analyse/analyze the shard/ore.'");
-      return;
-    }
-
-    const cur = currentPosition();
-    const x = cur.x + dx;
-    const y = cur.y + dy;
+  // ---------- Timeline replay ----------
+  // Solves every prefix of the entries (then the dig marks, if any, as a last stop) in a worker of its own,
+  // and lines veins up from stop to stop by ore and shared tiles, so each vein becomes a series of tile counts.
+  // Without workers the replay runs on the page from a timer, after the render that asked for it. While the panel is open the map shows the chosen stop: that entry's wedges, the tiles it
+  // removed and the veins it locked.
+  const TIMELINE_PLAY_MS = 900;
+  const REMOVED_FILL = "rgba(255,70,70,0.35)";
+  const LOCK_RING = "#ffd54f";
+  const CHART_PAD = { l: 40, r: 12, t: 10, b: 22 };
+
+  const timelineSolver = core.createSolver();
+  let timeline = null;     // { revision, steps: [{ entryIndex, veins, conflicts, wedges, removed, locks, changes }], series: [{ color, name, counts }] }
+  let timelineStep = 0;    // index into timeline.steps shown on the map
+  let timelineTimer = null;
+  let timelineRevision = -1; // stateRevision of the timeline shown or being replayed
+  let replayBusy = false;    // a replay is with the worker or waiting for its timer
+
+  function timelineOpen() {
+    return !!timelinePanelEl && timelinePanelEl.open && state.entries.length > 0;
+  }
 
-    state.entries.push({ x, y, dx, dy, parsed, raw });
-    saveState();
+  // Stops point at entries by index, so an older timeline is not shown once the state moved on.
+  function timelineReady() {
+    return !!timeline && timeline.revision === stateRevision;
+  }
 
-    logTextEl.value = "";
-    render();
+  // wedgeCandidates() gives "x,y" keys; drawRegion() wants a tile set.
+  function keyTiles(keys) {
+    const cs = [...keys].map(parseCoordKey);
+    const xs = cs.map(c => c.x), ys = cs.map(c => c.y);
+    const x0 = Math.min(0, ...xs), y0 = Math.min(0, ...ys);
+    const tiles = core.createTileSet(core.createGrid(x0, y0, Math.max(0, ...xs) - x0 + 1, Math.max(0, ...ys) - y0 + 1));
+    for (const c of cs) tiles.addXY(c.x, c.y);
+    return tiles;
   }
 
-  function undoEntry() {
-    state.entries.pop();
-    saveState();
-    render();
+  function sharedTiles(a, b) {
+    let n = 0;
+    a.forEachTile((x, y) => { if (b.hasXY(x, y)) n++; });
+    return n;
   }
 
-  function resetAll() {
-    if (!confirm("Reset all entries?")) return;
+  // solves holds one result per stop, as from solver.replay() on the current state.
+  function buildTimeline(solves) {
+    const entries = state.entries;
+    const stops = entries.map((e, i) => ({ entryIndex: i }));
+    if (state.marks.length) stops.push({ entryIndex: null });
+
+    const series = [];
+    let prev = [];
+    const steps = stops.map((stop, s) => {
+      const { veins, conflicts } = solves[s];
+      const removed = [], locks = [], changes = [];
+      const matched = new Set();
+
+      for (const v of veins) {
+        let from = null, best = 0;
+        for (const p of prev) {
+          if (matched.has(p) || p.ore !== v.ore) continue;
+          const n = sharedTiles(p.feasible, v.feasible);
+          if (n > best) { best = n; from = p; }
+        }
+        if (from) {
+          matched.add(from);
+          v.series = from.series;
+          from.feasible.forEachTile((x, y) => { if (!v.feasible.hasXY(x, y)) removed.push({ x, y }); });
+        } else {
+          v.series = series.length;
+          series.push({ color: VEIN_OUTLINE_COLORS[series.length % VEIN_OUTLINE_COLORS.length], counts: stops.map(() => null) });
+        }
+        const line = series[v.series];
+        v.outline = line.color;
+        line.name = veinDisplayName(v.ore, v.qlDisplay);
+        line.counts[s] = v.feasible.size;
+        const lockedNow = v.locked && !(from && from.locked);
+        if (lockedNow) locks.push({ ...v.lockedCoord, color: line.color });
+        if (!from || from.feasible.size !== v.feasible.size || lockedNow) {
+          changes.push({ series: v.series, before: from ? from.feasible.size : null, after: v.feasible.size, locked: lockedNow ? v.lockedCoord : null });
+        }
+      }
+
+      const entry = stop.entryIndex === null ? null : entries[stop.entryIndex];
+      const wedges = !entry || !isEntryEnabled(entry) ? [] : entry.parsed.traces.filter(t => !t.dropped).map(t => {
+        const band = bandForAdj(t.adj);
+        return {
+          tiles: keyTiles(core.wedgeCandidates({ x: entry.x, y: entry.y }, strengthToRing(t.strengthWord), t.dir, detectionModel().geometry)),
+          color: band ? band.color : NO_QL_COLOR
+        };
+      });
+
+      prev = veins;
+      return {
+        entryIndex: stop.entryIndex,
+        veins,
+        conflicts: conflicts.filter(c => stop.entryIndex === null ? c.markIndex !== undefined : c.entryIndex === stop.entryIndex),
+        wedges,
+        removed,
+        locks,
+        changes
+      };
+    });
+    return { revision: stateRevision, steps, series };
+  }
+
+  // Replays when the evidence or settings changed; the map shows the live solve until the replay comes back.
+  function updateTimeline() {
+    if (!timelineOpen() || timelineRevision === stateRevision || replayBusy) return;
+    startSideWorker();
+    const revision = timelineRevision = stateRevision;
+    const input = solveInput();
+    replayBusy = true;
+    if (sideWorker) {
+      sideWorker.postMessage({ type: "replay", revision, ...input });
+      return;
+    }
+    setTimeout(() => {
+      onTimelineReplayed(timelineSolver.replay(input.entries, input.settings, { marks: input.marks, terrain: input.terrain }), revision);
+    }, 0);
+  }
+
+  function onTimelineReplayed(solves, revision) {
+    replayBusy = false;
+    if (revision === stateRevision) setTimeline(solves);
+    else updateTimeline();
+    drawMap();
+    renderTimeline();
+  }
+
+  // A timeline sitting on its last stop follows new entries.
+  function setTimeline(solves) {
+    const atEnd = !timeline || timelineStep >= timeline.steps.length - 1;
+    timeline = buildTimeline(solves);
+    timelineStep = atEnd ? timeline.steps.length - 1 : clamp(timelineStep, 0, timeline.steps.length - 1);
+  }
+
+  // The stop the map should show, or null for the live solve.
+  function timelineView() {
+    return timelineOpen() && timelineReady() ? timeline.steps[timelineStep] : null;
+  }
+
+  function drawTimelineOverlay(bounds, cell, margin, step) {
+    ctx.save();
+    ctx.fillStyle = REMOVED_FILL;
+    for (const t of step.removed) {
+      const { px, py } = tileToPx(t.x, t.y, bounds, cell, margin);
+      ctx.fillRect(px, py, cell, cell);
+    }
+    ctx.restore();
+
+    ctx.save();
+    ctx.setLineDash([6, 4]);
+    for (const w of step.wedges) drawRegion(w.tiles, bounds, cell, margin, w.color, false);
+    ctx.restore();
+
+    for (const l of step.locks) {
+      const { px, py } = tileToPx(l.x, l.y, bounds, cell, margin);
+      ctx.save();
+      ctx.strokeStyle = LOCK_RING;
+      ctx.lineWidth = 3;
+      ctx.beginPath();
+      ctx.arc(px + cell / 2, py + cell / 2, Math.max(8, cell * 0.9), 0, Math.PI * 2);
+      ctx.stroke();
+      ctx.restore();
+    }
+
+    if (step.entryIndex !== null) {
+      const e = state.entries[step.entryIndex];
+      const { px, py } = tileToPx(e.x, e.y, bounds, cell, margin);
+      ctx.save();
+      ctx.strokeStyle = "rgba(255,255,255,0.85)";
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.arc(px + cell / 2, py + cell / 2, 15, 0, Math.PI * 2);
+      ctx.stroke();
+      ctx.restore();
+    }
+  }
+
+  function stepTitle(step, i) {
+    if (step.entryIndex === null) return `Stop ${i + 1} of ${timeline.steps.length} — dig marks (${state.marks.length}) applied`;
+    const e = state.entries[step.entryIndex];
+    const off = isEntryEnabled(e) ? "" : " (not used in the solve)";
+    return `Stop ${i + 1} of ${timeline.steps.length} — entry #${step.entryIndex + 1} at (${e.x}, ${e.y}), step ${formatStep(e.dx, e.dy)}${off}`;
+  }
+
+  function formatStep(dx, dy) {
+    const sign = n => (n > 0 ? `+${n}` : String(n));
+    return `${sign(dx)}, ${sign(dy)}`;
+  }
+
+  function renderTimeline() {
+    if (!timelinePanelEl) return;
+    const open = timelineOpen();
+    if (!open) stopTimelinePlay();
+    if (!open || !timelineReady()) {
+      timelineLabelEl.textContent = !state.entries.length ? "Add entries to replay them." : open ? "Replaying the entries…" : "";
+      timelineStepsEl.innerHTML = "";
+      return;
+    }
+    const last = timeline.steps.length - 1;
+    const step = timeline.steps[timelineStep];
+    timelineRangeEl.max = String(last);
+    timelineRangeEl.value = String(timelineStep);
+    timelinePrevBtn.disabled = timelineStep === 0;
+    timelineNextBtn.disabled = timelineStep === last;
+    timelinePlayBtn.textContent = timelineTimer ? "Pause" : "Play";
+    timelineLabelEl.textContent = stepTitle(step, timelineStep);
+
+    const swatch = color => `<span class="timelineSwatch" style="border-color:${escapeHtml(color)}"></span>`;
+    const changes = step.changes.map(c => {
+      const line = timeline.series[c.series];
+      const what = c.before === null
+        ? `new, ${c.after} tiles`
+        : c.locked ? `${c.before} → locked at ${c.locked.x}, ${c.locked.y}` : `${c.before} → ${c.after} tiles`;
+      return `<li>${swatch(line.color)}${escapeHtml(line.name)}: ${what}</li>`;
+    });
+    const conflicts = step.conflicts.map(c =>
+      `<li class="bad">${escapeHtml(veinDisplayName(c.ore, c.qlDisplay))}: ${escapeHtml(conflictCauseText(c))}</li>`);
+    timelineStepsEl.innerHTML = changes.length || conflicts.length
+      ? `<ul>${[...changes, ...conflicts].join("")}</ul>`
+      : `<div class="hint">No vein changed at this stop.</div>`;
+
+    drawTimelineChart();
+  }
+
+  // Tile count per vein series over the stops, on a log scale so the late narrowing down to one tile shows.
+  function drawTimelineChart() {
+    const c = timelineChartEl && timelineChartEl.getContext("2d");
+    if (!c) return;
+    const W = timelineChartEl.width, H = timelineChartEl.height;
+    const { l: padL, r: padR, t: padT, b: padB } = CHART_PAD;
+    const n = timeline.steps.length;
+    const maxCount = Math.max(2, ...timeline.series.flatMap(s => s.counts.filter(v => v !== null)));
+    const xAt = i => padL + (n > 1 ? (i * (W - padL - padR)) / (n - 1) : (W - padL - padR) / 2);
+    const yAt = v => padT + (1 - Math.log(v) / Math.log(maxCount)) * (H - padT - padB);
+
+    c.clearRect(0, 0, W, H);
+    c.save();
+    c.font = "11px system-ui, -apple-system, Segoe UI, Roboto, sans-serif";
+    c.fillStyle = "rgba(231,236,244,0.6)";
+    c.strokeStyle = "rgba(255,255,255,0.1)";
+    c.lineWidth = 1;
+    c.textBaseline = "middle";
+    c.textAlign = "right";
+    for (let v = 1; v <= maxCount; v *= 10) {
+      c.beginPath();
+      c.moveTo(padL, yAt(v));
+      c.lineTo(W - padR, yAt(v));
+      c.stroke();
+      c.fillText(String(v), padL - 6, yAt(v));
+    }
+    c.textAlign = "center";
+    c.textBaseline = "top";
+    timeline.steps.forEach((step, i) => {
+      if (n <= 30 || i % Math.ceil(n / 30) === 0) c.fillText(step.entryIndex === null ? "D" : String(step.entryIndex + 1), xAt(i), H - padB + 6);
+      if (step.conflicts.length) {
+        c.fillStyle = "#ff6b6b";
+        c.fillRect(xAt(i) - 3, padT - 8, 6, 6);
+        c.fillStyle = "rgba(231,236,244,0.6)";
+      }
+    });
+
+    c.strokeStyle = "rgba(255,255,255,0.5)";
+    c.beginPath();
+    c.moveTo(xAt(timelineStep), padT);
+    c.lineTo(xAt(timelineStep), H - padB);
+    c.stroke();
+
+    for (const s of timeline.series) {
+      c.strokeStyle = s.color;
+      c.fillStyle = s.color;
+      c.lineWidth = 2;
+      c.beginPath();
+      let drawing = false;
+      s.counts.forEach((v, i) => {
+        if (v === null) { drawing = false; return; }
+        if (drawing) c.lineTo(xAt(i), yAt(v));
+        else c.moveTo(xAt(i), yAt(v));
+        drawing = true;
+      });
+      c.stroke();
+      s.counts.forEach((v, i) => {
+        if (v !== 1 || (i > 0 && s.counts[i - 1] === 1)) return;
+        c.beginPath();
+        c.arc(xAt(i), yAt(1), 4, 0, Math.PI * 2);
+        c.fill();
+      });
+    }
+    c.restore();
+  }
+
+  function setTimelineStep(i) {
+    if (!timelineReady()) return;
+    timelineStep = clamp(i, 0, timeline.steps.length - 1);
+    drawMap();
+    renderTimeline();
+  }
+
+  function stopTimelinePlay() {
+    if (!timelineTimer) return;
+    clearInterval(timelineTimer);
+    timelineTimer = null;
+    if (timelinePlayBtn) timelinePlayBtn.textContent = "Play";
+  }
+
+  function toggleTimelinePlay() {
+    if (timelineTimer) {
+      stopTimelinePlay();
+      renderTimeline();
+      return;
+    }
+    if (!timelineReady()) return;
+    if (timelineStep >= timeline.steps.length - 1) setTimelineStep(0);
+    timelineTimer = setInterval(() => {
+      if (!timelineReady() || timelineStep >= timeline.steps.length - 1) {
+        stopTimelinePlay();
+        renderTimeline();
+        return;
+      }
+      setTimelineStep(timelineStep + 1);
+    }, TIMELINE_PLAY_MS);
+    renderTimeline();
+  }
+
+  function onTimelineChartClick(ev) {
+    if (!timelineReady()) return;
+    const rect = timelineChartEl.getBoundingClientRect();
+    const x = ((ev.clientX - rect.left) * timelineChartEl.width) / (rect.width || timelineChartEl.width);
+    const n = timeline.steps.length;
+    setTimelineStep(Math.round(((x - CHART_PAD.l) / (timelineChartEl.width - CHART_PAD.l - CHART_PAD.r)) * (n - 1)));
+  }
+
+  // ---------- Conflicts ----------
+  function conflictCauseText(c) {
+    switch (c.cause) {
+      case "step":
+        return `misses the known vein, but fits if this entry is moved by (${c.shift.dx}, ${c.shift.dy}) — check its step`;
+      case "locked":
+        return `excludes the locked tile (${c.lockedCoord.x}, ${c.lockedCoord.y}) — a wrong step, or the vein is not where it locked`;
+      case "dug":
+        return "was dug out empty, but it is the only tile this vein has left — check the mark or earlier steps";
+      case "absent":
+        return "reports no trace of this ore, but every remaining tile is within detection range — the paste may be cut off";
+      case "terrain":
+        return "points only at tiles painted as tunnel or water — check the terrain or this entry's step";
+      case "ambiguous":
+        return `fits more than one of the ${c.veins} veins of this ore equally well — another analyse or a dig mark will settle it`;
+      case "unsettled":
+        return `too many ways to split this ore's traces into veins to try them all — the ${c.veins} veins shown are a best guess and none is locked; drop doubtful traces or add a dig mark`;
+      default:
+        return "has no overlap with the known vein — probably a second vein of this type";
+    }
+  }
+
+  function conflictsHtml(conflicts) {
+    if (!conflicts.length) return "";
+    return `
+      <div class="conflicts">
+        <div><b>Conflicts:</b> ${conflicts.length}</div>
+        ${conflicts.map((c, i) => {
+          if (c.markIndex !== undefined) {
+            const m = state.marks[c.markIndex];
+            if (!m) return "";
+            return `
+              <div class="conflict">
+                <div><b>${escapeHtml(veinDisplayName(c.ore, c.qlDisplay))}</b> — dig mark at (${m.x}, ${m.y})</div>
+                <div class="microhint">${escapeHtml(conflictCauseText(c))}</div>
+                <button type="button" class="btn small" data-conflict="${i}" data-mark="${c.markIndex}">Remove mark</button>
+              </div>
+            `;
+          }
+          const e = state.entries[c.entryIndex];
+          if (!e) return "";
+          const where = `entry #${c.entryIndex + 1}${e.time ? ` (${escapeHtml(e.time)})` : ""}`;
+          const traces = c.cause === "absent"
+            ? "no trace"
+            : c.traceIdx.map(ti => escapeHtml(describeTrace(e.parsed.traces[ti]))).join("; ");
+          return `
+            <div class="conflict">
+              <div><b>${escapeHtml(veinDisplayName(c.ore, c.qlDisplay))}</b> — ${where}: ${traces}</div>
+              <div class="microhint">${escapeHtml(conflictCauseText(c))}</div>
+              <button type="button" class="btn small" data-conflict="${i}" data-entry="${c.entryIndex}" data-traces="${c.traceIdx.join(",")}">Drop observation</button>
+            </div>
+          `;
+        }).join("")}
+      </div>
+    `;
+  }
+
+  function onStatsClick(ev) {
+    if (ev.target.closest("[data-copy-locked]")) {
+      copyLockedVeins();
+      return;
+    }
+    const btn = ev.target.closest("[data-conflict]");
+    if (!btn) return;
+    if (btn.dataset.mark !== undefined) {
+      state.marks.splice(parseIntSafe(btn.dataset.mark, -1), 1);
+      saveState("Remove dig mark");
+      render();
+      return;
+    }
+    const e = state.entries[parseIntSafe(btn.dataset.entry, -1)];
+    if (!e) return;
+    if (!btn.dataset.traces) e.absence = false;
+    else for (const ti of btn.dataset.traces.split(",")) {
+      const t = e.parsed.traces[parseIntSafe(ti, -1)];
+      if (t) t.dropped = true;
+    }
+    saveState(btn.dataset.traces ? `Drop observation in entry #${parseIntSafe(btn.dataset.entry, 0) + 1}` : `Ignore absence in entry #${parseIntSafe(btn.dataset.entry, 0) + 1}`);
+    render();
+  }
+
+  if (statsEl) statsEl.addEventListener("click", onStatsClick);
+
+  // ---------- Project bar ----------
+  function renderProjectBar() {
+    if (projectSelectEl) {
+      projectSelectEl.innerHTML = "";
+      for (const p of projects.list) projectSelectEl.appendChild(new Option(p.name, p.id));
+      projectSelectEl.value = projects.activeId;
+    }
+    if (projectDeleteBtn) projectDeleteBtn.disabled = projects.list.length < 2;
+    if (anchorXEl) anchorXEl.value = state.anchor ? state.anchor.x : "";
+    if (anchorYEl) anchorYEl.value = state.anchor ? state.anchor.y : "";
+  }
+
+  function switchProject(id) {
+    if (id === projects.activeId) return;
+    saveState();
+    projects.activeId = id;
+    saveProjects();
+    loadState();
+    refreshAll();
+  }
+
+  function newProject() {
+    const name = (prompt("Name of the new project/site:", "") || "").trim();
+    if (!name) return;
+    const id = `p${Date.now().toString(36)}`;
+    projects.list.push({ id, name });
+    switchProject(id);
+  }
+
+  function renameProject() {
+    const p = activeProject();
+    const name = (prompt("Rename project:", p.name) || "").trim();
+    if (!name) return;
+    p.name = name;
+    saveProjects();
+    renderProjectBar();
+  }
+
+  function deleteProject() {
+    if (projects.list.length < 2) return;
+    const p = activeProject();
+    if (!confirm(`Delete project "${p.name}" and all its entries?`)) return;
+    try {
+      localStorage.removeItem(projectStorageKey(p.id));
+      localStorage.removeItem(historyStorageKey(p.id));
+    } catch (_) {}
+    projects.list = projects.list.filter(q => q.id !== p.id);
+    projects.activeId = projects.list[0].id;
+    saveProjects();
+    loadState();
+    refreshAll();
+  }
+
+  function onAnchorChange() {
+    const xs = anchorXEl ? anchorXEl.value.trim() : "";
+    const ys = anchorYEl ? anchorYEl.value.trim() : "";
+    state.anchor = xs !== "" && ys !== ""
+      ? { x: parseIntSafe(xs, 0), y: parseIntSafe(ys, 0) }
+      : null;
+    saveState("Set Source world tile");
+    render();
+  }
+
+  function lockedVeinsText() {
+    return lastSolve.veins
+      .filter(v => v.locked && v.lockedCoord)
+      .map(v => {
+        const w = worldCoord(v.lockedCoord.x, v.lockedCoord.y);
+        const at = w ? `${w.x}\t${w.y}` : `${v.lockedCoord.x}\t${v.lockedCoord.y}`;
+        return `${veinDisplayName(v.ore, v.qlDisplay)}\t${at}`;
+      })
+      .join("\n");
+  }
+
+  function lockedVeinsHtml(veins) {
+    const locked = veins.filter(v => v.locked && v.lockedCoord);
+    if (!locked.length) return "";
+    return `
+      <div class="lockedList">
+        <div><b>Locked veins</b>${state.anchor ? " (world tiles)" : " (relative to Source)"}:
+          <button type="button" class="btn small" data-copy-locked>Copy</button></div>
+        ${locked.map(v => {
+          const c = v.lockedCoord;
+          const w = worldCoord(c.x, c.y);
+          return `<div><span class="swatchDot" style="background:${v.qlColor}"></span>${escapeHtml(veinDisplayName(v.ore, v.qlDisplay))} — ${w ? `${w.x}, ${w.y} <span class="microhint">(${c.x}, ${c.y})</span>` : `${c.x}, ${c.y}`}</div>`;
+        }).join("")}
+      </div>
+    `;
+  }
+
+  async function copyLockedVeins() {
+    const text = lockedVeinsText();
+    try {
+      await navigator.clipboard.writeText(text);
+    } catch (_) {
+      prompt("Copy the locked veins:", text.replace(/\n/g, " | "));
+    }
+  }
+
+  if (projectSelectEl) projectSelectEl.addEventListener("change", () => switchProject(projectSelectEl.value));
+  if (projectNewBtn) projectNewBtn.addEventListener("click", newProject);
+  if (projectRenameBtn) projectRenameBtn.addEventListener("click", renameProject);
+  if (projectDeleteBtn) projectDeleteBtn.addEventListener("click", deleteProject);
+  if (anchorXEl) anchorXEl.addEventListener("change", onAnchorChange);
+  if (anchorYEl) anchorYEl.addEventListener("change", onAnchorChange);
+
+  // ---------- Import / export / share links ----------
+  function fileStamp() {
+    return new Date().toISOString().replace(/[:.]/g, "-");
+  }
+
+  function downloadText(filename, text, type) {
+    const blob = new Blob([text], { type });
+    const a = document.createElement("a");
+    a.download = filename;
+    a.href = URL.createObjectURL(blob);
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+  }
+
+  function exportJSON() {
+    const payload = {
+      format: EXPORT_FORMAT,
+      schemaVersion: SCHEMA_VERSION,
+      exportedAt: new Date().toISOString(),
+      state
+    };
+    downloadText(`wo_shard_session_${fileStamp()}.json`, JSON.stringify(payload, null, 2), "application/json");
+  }
+
+  // Accepts an export file or a bare state object (e.g. copied straight out of localStorage).
+  // Either an export envelope or a bare state; both are refused when a newer version wrote them.
+  function stateFromImport(obj) {
+    const enveloped = !!obj && obj.format === EXPORT_FORMAT;
+    const raw = enveloped ? obj.state : obj;
+    if ((enveloped && obj.schemaVersion > SCHEMA_VERSION) || (raw && raw.schemaVersion > SCHEMA_VERSION)) return null;
+    return migrateState(raw);
+  }
+
+  function replaceState(next, label) {
+    state = next;
+    saveState(label);
+    refreshAll();
+  }
+
+  // Re-syncs every control after the whole state object changed (import, share link, project switch).
+  function refreshAll() {
+    editingIndex = -1;
+    sessionSteps = [];
+    closeTileMenu();
+    viewport.zoom = 1;
+    viewport.panX = 0;
+    viewport.panY = 0;
+    syncSolverControls();
+    renderDetectionPanel();
+    renderBandsPanel();
+    renderProjectBar();
+    render();
+  }
+
+  function importJSONFile(file) {
+    const reader = new FileReader();
+    reader.onload = () => {
+      let next = null;
+      try { next = stateFromImport(JSON.parse(reader.result)); } catch (_) {}
+      if (!next) {
+        alert("That file is not a session export (or it was made by a newer version).");
+        return;
+      }
+      if (state.entries.length && !confirm(`Replace the current ${state.entries.length} entries with ${next.entries.length} from the file?`)) return;
+      replaceState(next, `Import ${file.name}`);
+    };
+    reader.readAsText(file);
+  }
+
+  // Share links carry only what the solver needs, not the raw pastes:
+  // { v, e: [[dx, dy, enabled, absence, time, mineOre, mineMaxQl, [[strength, ore, adj, dirX, dirY, dropped]]]],
+  //   m: [[x, y, ore, qlDisplay]], s: settings }. The JSON is deflated when the browser supports it.
+  const SHARE_PARAM = "share";
+
+  function compactState() {
+    return {
+      v: SCHEMA_VERSION,
+      e: state.entries.map(e => [
+        e.dx, e.dy, isEntryEnabled(e) ? 1 : 0, e.absence === false ? 0 : 1, e.time || null,
+        e.parsed.mineOre, Number.isFinite(e.parsed.mineMaxQl) ? e.parsed.mineMaxQl : null,
+        e.parsed.traces.map(t => [t.strengthWord, t.ore, t.adj, t.dir.dx, t.dir.dy, t.dropped ? 1 : 0])
+      ]),
+      m: state.marks.map(m => m.found ? [m.x, m.y, m.found.ore, m.found.qlDisplay] : [m.x, m.y]),
+      a: state.anchor,
+      t: Object.entries(state.terrain),
+      s: state.settings
+    };
+  }
+
+  const DIR_WORDS = {
+    "0,1": "north", "0,-1": "south", "1,0": "east", "-1,0": "west",
+    "1,1": "northeast", "-1,1": "northwest", "1,-1": "southeast", "-1,-1": "southwest"
+  };
+
+  // Rebuilds paste text the parser understands, so shared entries stay editable.
+  function synthesizeRaw(parsed, time) {
+    const prefix = time ? `[${time}] ` : "";
+    const lines = [`${prefix}You start to analyse the shard.`];
+    if (parsed.mineOre) lines.push(`You would mine ${parsed.mineOre} ore here.`);
+    if (Number.isFinite(parsed.mineMaxQl)) lines.push(`It has a max quality of ${parsed.mineMaxQl}.`);
+    for (const t of parsed.traces) {
+      const what = t.ore === "Unknown"
+        ? "something, but cannot quite make it out"
+        : `${t.adj ? `${t.adj} quality ` : ""}${t.ore}`;
+      const strength = t.strengthWord ? `${/^[aeiou]/.test(t.strengthWord) ? "an" : "a"} ${t.strengthWord}` : "a";
+      lines.push(`You spot ${strength} trace of ${what} (${DIR_WORDS[`${t.dir.dx},${t.dir.dy}`]}).`);
+    }
+    lines.push("You finish analysing the shard.");
+    return lines.join("\n");
+  }
+
+  function expandCompactState(c) {
+    if (!c || !Array.isArray(c.e)) return null;
+    const entries = c.e.filter(Array.isArray).map(([dx, dy, enabled, absence, time, mineOre, mineMaxQl, traces]) => {
+      const parsed = {
+        mineOre: mineOre || null,
+        mineMaxQl: Number.isFinite(mineMaxQl) ? mineMaxQl : null,
+        traces: (Array.isArray(traces) ? traces : []).filter(Array.isArray).map(([strengthWord, ore, adj, tdx, tdy, dropped]) => {
+          const t = { ore, adj: adj || null, strengthWord: strengthWord || null, dir: { type: "dir", dx: tdx, dy: tdy } };
+          if (dropped) t.dropped = true;
+          return t;
+        })
+      };
+      const e = { dx, dy, parsed, raw: synthesizeRaw(parsed, time), time: time || null };
+      if (!enabled) e.enabled = false;
+      if (!absence) e.absence = false;
+      return e;
+    });
+    const marks = (Array.isArray(c.m) ? c.m : []).filter(Array.isArray).map(([x, y, ore, qlDisplay]) =>
+      ({ x, y, found: ore ? { ore, qlDisplay: qlDisplay || "" } : null }));
+    const terrain = Object.fromEntries(Array.isArray(c.t) ? c.t : []);
+    return migrateState({ schemaVersion: c.v, entries, marks, terrain, anchor: c.a, settings: c.s });
+  }
+
+  function bytesToBase64Url(bytes) {
+    let bin = "";
+    for (const b of bytes) bin += String.fromCharCode(b);
+    return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+  }
+  function base64UrlToBytes(s) {
+    const bin = atob(s.replace(/-/g, "+").replace(/_/g, "/"));
+    return Uint8Array.from(bin, ch => ch.charCodeAt(0));
+  }
+
+  async function pipeBytes(bytes, stream) {
+    const out = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+    return new Uint8Array(await out.arrayBuffer());
+  }
+
+  // "z." = deflate-raw, "j." = plain JSON (browsers without CompressionStream).
+  async function encodeShare(obj) {
+    const bytes = new TextEncoder().encode(JSON.stringify(obj));
+    if (typeof CompressionStream === "function") {
+      return "z." + bytesToBase64Url(await pipeBytes(bytes, new CompressionStream("deflate-raw")));
+    }
+    return "j." + bytesToBase64Url(bytes);
+  }
+
+  async function decodeShare(s) {
+    const [kind, data] = [s.slice(0, 2), s.slice(2)];
+    let bytes = base64UrlToBytes(data);
+    if (kind === "z.") bytes = await pipeBytes(bytes, new DecompressionStream("deflate-raw"));
+    else if (kind !== "j.") throw new Error("unknown share encoding");
+    return JSON.parse(new TextDecoder().decode(bytes));
+  }
+
+  async function copyShareLink() {
+    const url = `${location.href.split("#")[0]}#${SHARE_PARAM}=${await encodeShare(compactState())}`;
+    try {
+      await navigator.clipboard.writeText(url);
+      alert(`Share link copied (${url.length} characters).`);
+    } catch (_) {
+      prompt("Copy this share link:", url);
+    }
+  }
+
+  async function loadFromUrlHash() {
+    const prefix = `#${SHARE_PARAM}=`;
+    if (!location.hash.startsWith(prefix)) return;
+    let next = null;
+    try { next = expandCompactState(await decodeShare(location.hash.slice(prefix.length))); } catch (_) {}
+    history.replaceState(null, "", location.href.split("#")[0]);
+    if (!next) {
+      alert("The shared link could not be read.");
+      return;
+    }
+    if (state.entries.length && !confirm(`Open the shared session (${next.entries.length} entries)? It replaces your current ${state.entries.length} entries.`)) return;
+    replaceState(next, "Open share link");
+  }
+
+  if (exportBtn) exportBtn.addEventListener("click", exportJSON);
+  if (importBtn && importFileEl) importBtn.addEventListener("click", () => importFileEl.click());
+  if (importFileEl) importFileEl.addEventListener("change", () => {
+    const file = importFileEl.files && importFileEl.files[0];
+    if (file) importJSONFile(file);
+    importFileEl.value = "";
+  });
+  if (shareBtn) shareBtn.addEventListener("click", () => { copyShareLink(); });
+  window.addEventListener("hashchange", () => { loadFromUrlHash(); });
+
+  // ---------- Map interaction ----------
+  // Zoom multiplies the fit-to-bounds cell size; pan is a pixel offset. Neither is persisted.
+  const viewport = { zoom: 1, panX: 0, panY: 0 };
+  const ZOOM_MIN = 0.25, ZOOM_MAX = 12;
+  const DRAG_THRESHOLD = 4;
+
+  let drag = null; // { x, y, panX, panY, moved }
+
+  function canvasPoint(ev) {
+    const rect = canvas.getBoundingClientRect();
+    const sx = rect.width ? canvas.width / rect.width : 1;
+    const sy = rect.height ? canvas.height / rect.height : 1;
+    return { x: (ev.clientX - rect.left) * sx, y: (ev.clientY - rect.top) * sy };
+  }
+
+  function tileAtEvent(ev) {
+    if (!lastLayout) return null;
+    const p = canvasPoint(ev);
+    const { bounds, cell, margin } = lastLayout;
+    return pxToTile(p.x, p.y, bounds, cell, margin);
+  }
+
+  // Shows the tooltip/menu next to the cursor, in the scroller's coordinate space.
+  function placeOverlay(el, ev) {
+    if (!canvasScrollerEl) return;
+    const rect = canvasScrollerEl.getBoundingClientRect();
+    el.style.left = `${ev.clientX - rect.left + canvasScrollerEl.scrollLeft + 14}px`;
+    el.style.top = `${ev.clientY - rect.top + canvasScrollerEl.scrollTop + 14}px`;
+  }
+
+  function fitView() {
+    viewport.zoom = 1;
+    viewport.panX = 0;
+    viewport.panY = 0;
+    drawMap();
+  }
+
+  function onMapWheel(ev) {
+    if (!lastLayout) return;
+    ev.preventDefault();
+    const p = canvasPoint(ev);
+    const { cell, fitCell, margin } = lastLayout;
+    const zoom = clamp(viewport.zoom * (ev.deltaY < 0 ? 1.15 : 1 / 1.15), ZOOM_MIN, ZOOM_MAX);
+    const newCell = fitCell * zoom;
+
+    // Keep the tile under the cursor in place.
+    const ux = (p.x - margin - viewport.panX) / cell;
+    const uy = (p.y - margin - viewport.panY) / cell;
+    viewport.panX = p.x - margin - ux * newCell;
+    viewport.panY = p.y - margin - uy * newCell;
+    viewport.zoom = zoom;
+    drawMap();
+  }
+
+  function relativeToSource(x, y) {
+    const parts = [];
+    if (x) parts.push(`${Math.abs(x)} ${x > 0 ? "E" : "W"}`);
+    if (y) parts.push(`${Math.abs(y)} ${y > 0 ? "N" : "S"}`);
+    return parts.length ? `${parts.join(", ")} of Source` : "Source";
+  }
+
+  function tileTooltipHtml(tile) {
+    const k = coordKey(tile.x, tile.y);
+    const veins = lastSolve.shown.filter(v => v.feasible.has(k));
+    const mark = state.marks.find(m => m.x === tile.x && m.y === tile.y);
+    const lines = veins.map(v => {
+      const extra = v.heat
+        ? `${Math.round((v.heat.get(k) || 0) * 100)}%`
+        : v.locked ? "locked" : `1 of ${v.feasible.size}`;
+      return `<div><span class="swatchDot" style="background:${v.qlColor}"></span>${escapeHtml(veinDisplayName(v.ore, v.qlDisplay))} — ${extra}</div>`;
+    });
+    const w = worldCoord(tile.x, tile.y);
+    return `
+      <div><b>(${tile.x}, ${tile.y})</b> · ${relativeToSource(tile.x, tile.y)}</div>
+      ${w ? `<div class="microhint">World tile ${w.x}, ${w.y}</div>` : ""}
+      ${state.terrain[k] ? `<div class="microhint">Terrain: ${TERRAIN_TYPES[state.terrain[k]].label}</div>` : ""}
+      ${mark ? `<div class="microhint">Dug: ${mark.found ? escapeHtml(veinDisplayName(mark.found.ore, mark.found.qlDisplay)) : "nothing"}</div>` : ""}
+      ${lines.length ? lines.join("") : `<div class="microhint">No candidate veins</div>`}
+    `;
+  }
+
+  function showTooltip(ev) {
+    if (!mapTooltipEl) return;
+    const tile = tileAtEvent(ev);
+    if (!tile) { hideTooltip(); return; }
+    mapTooltipEl.innerHTML = tileTooltipHtml(tile);
+    mapTooltipEl.hidden = false;
+    placeOverlay(mapTooltipEl, ev);
+  }
+
+  function hideTooltip() {
+    if (mapTooltipEl) mapTooltipEl.hidden = true;
+  }
+
+  function onMapMouseDown(ev) {
+    if (ev.button !== 0) return;
+    if (paintType) {
+      painting = true;
+      hideTooltip();
+      paintAt(ev);
+      return;
+    }
+    drag = { x: ev.clientX, y: ev.clientY, panX: viewport.panX, panY: viewport.panY, moved: false };
+  }
+
+  function onMapMouseMove(ev) {
+    if (painting) {
+      paintAt(ev);
+      return;
+    }
+    if (drag) {
+      const rect = canvas.getBoundingClientRect();
+      const scale = rect.width ? canvas.width / rect.width : 1;
+      const dx = ev.clientX - drag.x;
+      const dy = ev.clientY - drag.y;
+      if (!drag.moved && Math.hypot(dx, dy) < DRAG_THRESHOLD) return;
+      drag.moved = true;
+      viewport.panX = drag.panX + dx * scale;
+      viewport.panY = drag.panY + dy * scale;
+      hideTooltip();
+      drawMap();
+      return;
+    }
+    showTooltip(ev);
+  }
+
+  function onMapMouseUp(ev) {
+    if (painting) {
+      painting = false;
+      saveState("Paint terrain");
+      render();
+      return;
+    }
+    if (!drag) return;
+    const wasClick = !drag.moved;
+    drag = null;
+    if (wasClick) onMapClick(ev);
+  }
+
+  // ---------- Terrain painting ----------
+  const PAINT_ERASE = "erase";
+  let paintType = ""; // "" pans; otherwise a TERRAIN_TYPES key or PAINT_ERASE
+  let painting = false;
+
+  // Updates the terrain under the cursor and redraws; the solve catches up on mouseup.
+  function paintAt(ev) {
+    const p = canvasPoint(ev);
+    if (p.x < 0 || p.y < 0 || p.x > canvas.width || p.y > canvas.height) return;
+    const tile = tileAtEvent(ev);
+    if (!tile) return;
+    const k = coordKey(tile.x, tile.y);
+    const next = paintType === PAINT_ERASE ? undefined : paintType;
+    if (state.terrain[k] === next) return;
+    if (next) state.terrain[k] = next;
+    else delete state.terrain[k];
+    drawMap();
+  }
+
+  function renderPaintSelect() {
+    if (!paintSelectEl) return;
+    paintSelectEl.innerHTML = [
+      `<option value="">Off (drag pans)</option>`,
+      ...Object.entries(TERRAIN_TYPES).map(([type, t]) => `<option value="${type}">${t.label}</option>`),
+      `<option value="${PAINT_ERASE}">Erase</option>`
+    ].join("");
+    paintSelectEl.value = paintType;
+  }
+
+  function clearTerrain() {
+    if (!Object.keys(state.terrain).length) return;
+    if (!confirm("Clear all painted terrain in this project?")) return;
+    state.terrain = {};
+    saveState("Clear terrain");
+    render();
+  }
+
+  if (paintSelectEl) paintSelectEl.addEventListener("change", () => {
+    paintType = paintSelectEl.value;
+    canvas.classList.toggle("painting", !!paintType);
+  });
+  if (clearTerrainBtn) clearTerrainBtn.addEventListener("click", clearTerrain);
+
+  // ---------- Tile menu (dig marks) ----------
+  let menuTile = null;
+
+  function onMapClick(ev) {
+    const tile = tileAtEvent(ev);
+    if (!tile) return;
+    if (pickingStep) {
+      pickStepAt(tile);
+      return;
+    }
+    openTileMenu(tile, ev);
+  }
+
+  function openTileMenu(tile, ev) {
+    if (!tileMenuEl) return;
+    menuTile = tile;
+    hideTooltip();
+
+    const k = coordKey(tile.x, tile.y);
+    const mark = state.marks.find(m => m.x === tile.x && m.y === tile.y);
+    const keys = new Map(); // veinKey => { ore, qlDisplay, here }
+    for (const v of lastSolve.veins) {
+      const key = veinKey(v);
+      const here = v.feasible.has(k);
+      if (!keys.has(key)) keys.set(key, { ore: v.ore, qlDisplay: v.qlDisplay, here });
+      else if (here) keys.get(key).here = true;
+    }
+    const options = [...keys.entries()]
+      .sort((a, b) => (b[1].here - a[1].here) || a[0].localeCompare(b[0]))
+      .map(([key, s]) => `<option value="${escapeHtml(key)}">${escapeHtml(veinDisplayName(s.ore, s.qlDisplay))}${s.here ? " (candidate here)" : ""}</option>`)
+      .join("");
+
+    tileMenuEl.innerHTML = `
+      <div class="tileMenuTitle"><b>(${tile.x}, ${tile.y})</b> · ${relativeToSource(tile.x, tile.y)}</div>
+      <button type="button" class="btn small" data-mark="nothing">Dug here — nothing</button>
+      <div class="tileMenuRow">
+        <select data-field="foundKey"><option value="">Found…</option>${options}</select>
+        <input type="text" data-field="foundOre" placeholder="or other ore" />
+        <button type="button" class="btn small primary" data-mark="found">Mark found</button>
+      </div>
+      <div class="tileMenuRow">
+        ${mark ? `<button type="button" class="btn small danger" data-mark="clear">Clear mark</button>` : ""}
+        <button type="button" class="btn small" data-mark="close">Close</button>
+      </div>
+    `;
+    tileMenuEl.hidden = false;
+    placeOverlay(tileMenuEl, ev);
+  }
+
+  function closeTileMenu() {
+    menuTile = null;
+    if (tileMenuEl) tileMenuEl.hidden = true;
+  }
+
+  function onTileMenuClick(ev) {
+    const btn = ev.target.closest("[data-mark]");
+    if (!btn || !menuTile) return;
+    const { x, y } = menuTile;
+    const others = state.marks.filter(m => m.x !== x || m.y !== y);
+
+    switch (btn.dataset.mark) {
+      case "nothing":
+        state.marks = [...others, { x, y, found: null }];
+        break;
+      case "found": {
+        const key = tileMenuEl.querySelector('[data-field="foundKey"]').value;
+        const typed = oreNormalize(tileMenuEl.querySelector('[data-field="foundOre"]').value || "");
+        let found = null;
+        if (typed) found = { ore: typed, qlDisplay: "" };
+        else if (key) {
+          const [ore, qlDisplay] = key.split("||");
+          found = { ore, qlDisplay: qlDisplay || "" };
+        }
+        if (!found) { alert("Pick the vein you found, or type its ore."); return; }
+        state.marks = [...others, { x, y, found }];
+        break;
+      }
+      case "clear":
+        state.marks = others;
+        break;
+      default:
+        closeTileMenu();
+        return;
+    }
+
+    closeTileMenu();
+    saveState(btn.dataset.mark === "clear" ? `Clear dig mark at ${x}, ${y}` : `Mark dug tile ${x}, ${y}`);
+    render();
+  }
+
+  canvas.addEventListener("wheel", onMapWheel, { passive: false });
+  canvas.addEventListener("mousedown", onMapMouseDown);
+  canvas.addEventListener("mouseleave", hideTooltip);
+  window.addEventListener("mousemove", ev => {
+    if (drag || painting || ev.target === canvas) onMapMouseMove(ev);
+  });
+  window.addEventListener("mouseup", onMapMouseUp);
+  if (tileMenuEl) tileMenuEl.addEventListener("click", onTileMenuClick);
+  if (fitViewBtn) fitViewBtn.addEventListener("click", fitView);
+  document.addEventListener("keydown", ev => {
+    if (ev.key === "Escape") closeTileMenu();
+  });
+
+  // ---------- Movement composer ----------
+  // Fills the step inputs from compass clicks, a typed path ("3ne 2n") or a tile picked on the map.
+  const MOVE_DIRS = {
+    n: DIR_MAP.north, s: DIR_MAP.south, e: DIR_MAP.east, w: DIR_MAP.west,
+    ...DIR_MAP
+  };
+  const moveTokenRegex = /^(\d*)\s*([a-z]+)$/;
+
+  let pickingStep = false;
+
+  // "3ne 2n, w" => { dx, dy } or { error }.
+  function parseMovePath(text) {
+    let dx = 0, dy = 0;
+    const tokens = text.toLowerCase().replace(/(\d+)\s+(?=[a-z])/g, "$1").split(/[\s,;]+/).filter(Boolean);
+    for (const tok of tokens) {
+      const m = tok.match(moveTokenRegex);
+      const dir = m && MOVE_DIRS[m[2]];
+      if (!dir) return { error: `can't read “${tok}”` };
+      const n = m[1] ? parseIntSafe(m[1], 1) : 1;
+      dx += dir.dx * n;
+      dy += dir.dy * n;
+    }
+    return { dx, dy };
+  }
+
+  function pendingStep() {
+    return {
+      dx: parseIntSafe(stepXEl ? stepXEl.value : 0, 0),
+      dy: parseIntSafe(stepYEl ? stepYEl.value : 0, 0)
+    };
+  }
+
+  function setStepInputs(dx, dy) {
+    if (stepXEl) stepXEl.value = dx;
+    if (stepYEl) stepYEl.value = dy;
+  }
+
+  function stepDeltaText(dx, dy) {
+    const parts = [];
+    parts.push(dx ? `${Math.abs(dx)} ${dx > 0 ? "E" : "W"}` : "0 E/W");
+    parts.push(dy ? `${Math.abs(dy)} ${dy > 0 ? "N" : "S"}` : "0 N/S");
+    return parts.join(", ");
+  }
+
+  function renderStepSummary(error) {
+    if (!stepSummaryEl) return;
+    if (error) {
+      stepSummaryEl.innerHTML = `<span class="bad">Path: ${escapeHtml(error)}</span>`;
+      return;
+    }
+    const { dx, dy } = pendingStep();
+    const cur = currentPosition();
+    stepSummaryEl.innerHTML =
+      `Step <b>${stepDeltaText(dx, dy)}</b> (dx ${dx}, dy ${dy}) from (${cur.x}, ${cur.y}) → next entry at <b>(${cur.x + dx}, ${cur.y + dy})</b>`;
+  }
+
+  function onStepChanged(error) {
+    renderStepSummary(error);
+    if (lastLayout) drawMap();
+  }
+
+  function onMovePathInput() {
+    const text = movePathEl.value.trim();
+    if (!text) {
+      setStepInputs(0, 0);
+      onStepChanged();
+      return;
+    }
+    const r = parseMovePath(text);
+    if (r.error) { onStepChanged(r.error); return; }
+    setStepInputs(r.dx, r.dy);
+    onStepChanged();
+  }
+
+  function onCompassClick(ev) {
+    const btn = ev.target.closest("[data-move]");
+    if (!btn) return;
+    const move = btn.dataset.move;
+    if (move === "clear") {
+      if (movePathEl) movePathEl.value = "";
+      setStepInputs(0, 0);
+      onStepChanged();
+      return;
+    }
+    if (!movePathEl) {
+      const { dx, dy } = pendingStep();
+      setStepInputs(dx + MOVE_DIRS[move].dx, dy + MOVE_DIRS[move].dy);
+      onStepChanged();
+      return;
+    }
+    // Typing the same direction twice bumps its count: "ne" + NE => "2ne".
+    const tokens = movePathEl.value.trim().split(/\s+/).filter(Boolean);
+    const last = tokens.length ? tokens[tokens.length - 1].toLowerCase().match(moveTokenRegex) : null;
+    if (last && last[2] === move) tokens[tokens.length - 1] = `${(last[1] ? parseIntSafe(last[1], 1) : 1) + 1}${move}`;
+    else tokens.push(`1${move}`);
+    movePathEl.value = tokens.join(" ");
+    onMovePathInput();
+  }
+
+  function setPickingStep(on) {
+    pickingStep = on;
+    if (pickStepBtn) pickStepBtn.textContent = on ? "Click a tile… (Esc cancels)" : "Pick on map";
+    canvas.classList.toggle("picking", on);
+  }
+
+  function pickStepAt(tile) {
+    const cur = currentPosition();
+    setStepInputs(tile.x - cur.x, tile.y - cur.y);
+    if (movePathEl) movePathEl.value = "";
+    setPickingStep(false);
+    onStepChanged();
+  }
+
+  // Ghost marker where the next entry will land.
+  function drawPendingSource(bounds, cell, margin) {
+    const { dx, dy } = pendingStep();
+    if (!dx && !dy) return;
+    const cur = currentPosition();
+    const { px, py } = tileToPx(cur.x + dx, cur.y + dy, bounds, cell, margin);
+    const from = tileToPx(cur.x, cur.y, bounds, cell, margin);
+    ctx.save();
+    ctx.strokeStyle = "rgba(255,51,51,0.7)";
+    ctx.lineWidth = 2;
+    ctx.setLineDash([5, 4]);
+    ctx.beginPath();
+    ctx.moveTo(from.px + cell / 2, from.py + cell / 2);
+    ctx.lineTo(px + cell / 2, py + cell / 2);
+    ctx.stroke();
+    ctx.beginPath();
+    ctx.arc(px + cell / 2, py + cell / 2, Math.max(6, cell * 0.4), 0, Math.PI * 2);
+    ctx.stroke();
+    ctx.restore();
+  }
+
+  if (compassPadEl) compassPadEl.addEventListener("click", onCompassClick);
+  if (movePathEl) movePathEl.addEventListener("input", onMovePathInput);
+  if (pickStepBtn) pickStepBtn.addEventListener("click", () => setPickingStep(!pickingStep));
+  for (const el of [stepXEl, stepYEl]) {
+    if (!el) continue;
+    el.addEventListener("input", () => {
+      if (movePathEl) movePathEl.value = "";
+      onStepChanged();
+    });
+  }
+  document.addEventListener("keydown", ev => {
+    if (ev.key === "Escape" && pickingStep) setPickingStep(false);
+  });
+
+  // ---------- Next-step suggestions ----------
+  // core.suggestSteps() simulates an analyse from every tile within walking range of the unresolved veins.
+  // That is heavy at a wide range, so it runs in the side worker, or on the page after the current render.
+  const SUGGEST_GOAL_ALL = "";
+
+  let suggestions = null;    // { basis, goal, list: [{ x, y, dx, dy, left, reduction, lockChance }] }
+  let suggestPending = null; // { basis, goal } of the request being worked out
+
+  // Changes whenever the evidence or the model does, so stale suggestions are dropped on render.
+  function suggestionBasis() {
+    const cur = currentPosition();
+    const sizes = lastSolve.veins.map(v => v.feasible.size).join(",");
+    return `${cur.x},${cur.y}|${state.entries.length}|${sizes}|${JSON.stringify(state.settings)}`;
+  }
+
+  function unresolvedVeins() {
+    return lastSolve.veins.filter(v => !v.locked && v.feasible.size > 1);
+  }
+
+  function suggestTargets(goal) {
+    const targets = unresolvedVeins();
+    if (goal === SUGGEST_GOAL_ALL) return targets;
+    return targets.filter(v => veinKey(v) === goal).sort((a, b) => b.feasible.size - a.feasible.size).slice(0, 1);
+  }
+
+  function requestSuggestions(goal) {
+    const basis = suggestionBasis();
+    const targets = suggestTargets(goal);
+    const options = {
+      from: currentPosition(),
+      radius: clamp(parseIntSafe(state.settings.walkRadius, 8), 1, 20),
+      lockGoal: goal !== SUGGEST_GOAL_ALL
+    };
+    suggestPending = { basis, goal };
+    startSideWorker();
+    if (sideWorker) {
+      const veins = core.packSolve({ veins: targets, conflicts: [] }).veins;
+      sideWorker.postMessage({ type: "suggest", basis, goal, veins, settings: state.settings, ...options });
+      return;
+    }
+    setTimeout(() => onSuggested(core.suggestSteps(targets, state.settings, options), basis, goal), 0);
+  }
+
+  // Answers to an older request, or to evidence that has changed since, are dropped.
+  function onSuggested(list, basis, goal) {
+    if (!suggestPending || suggestPending.basis !== basis || suggestPending.goal !== goal) return;
+    suggestPending = null;
+    if (basis === suggestionBasis()) suggestions = { basis, goal, list };
+    drawMap();
+    renderSuggestions();
+  }
+
+  function renderSuggestGoal() {
+    if (!suggestGoalEl) return;
+    const prev = suggestGoalEl.value;
+    const keys = [...new Set(unresolvedVeins().map(veinKey))];
+    const opts = [`<option value="${SUGGEST_GOAL_ALL}">fewest tiles left overall</option>`];
+    for (const k of keys) {
+      const [ore, qlDisplay] = k.split("||");
+      opts.push(`<option value="${escapeHtml(k)}">lock ${escapeHtml(veinDisplayName(ore, qlDisplay))}</option>`);
+    }
+    suggestGoalEl.innerHTML = opts.join("");
+    suggestGoalEl.value = keys.includes(prev) ? prev : SUGGEST_GOAL_ALL;
+  }
+
+  function renderSuggestions() {
+    renderSuggestGoal();
+    if (walkRadiusEl) walkRadiusEl.value = state.settings.walkRadius;
+    if (!suggestListEl) return;
+    if (suggestPending) {
+      suggestListEl.innerHTML = `<div class="microhint">Working out the best spots…</div>`;
+      return;
+    }
+    if (!suggestions) { suggestListEl.innerHTML = ""; return; }
+    if (suggestions.list.length === 0) {
+      suggestListEl.innerHTML = `<div class="microhint">Nothing left to narrow down${suggestions.goal ? " for that vein" : ""}.</div>`;
+      return;
+    }
+    suggestListEl.innerHTML = suggestions.list.map((s, i) => `
+      <div class="suggestItem">
+        <span class="suggestRank">${i + 1}</span>
+        <span>Walk <b>${stepDeltaText(s.dx, s.dy)}</b> (dx ${s.dx}, dy ${s.dy}) →
+          ~${s.left.toFixed(1)} tiles left${suggestions.goal ? "" : ` (−${s.reduction.toFixed(1)})`}, lock chance ${Math.round(s.lockChance * 100)}%</span>
+        <button class="btn small" type="button" data-suggest="${i}">Use</button>
+      </div>
+    `).join("");
+  }
+
+  function onSuggestClick() {
+    requestSuggestions(suggestGoalEl ? suggestGoalEl.value : SUGGEST_GOAL_ALL);
+    renderSuggestions();
+  }
+
+  function onSuggestListClick(ev) {
+    const btn = ev.target.closest("[data-suggest]");
+    if (!btn || !suggestions) return;
+    const s = suggestions.list[parseIntSafe(btn.dataset.suggest, 0)];
+    if (!s) return;
+    setStepInputs(s.dx, s.dy);
+    if (movePathEl) movePathEl.value = "";
+    onStepChanged();
+  }
+
+  function drawSuggestions(bounds, cell, margin) {
+    if (!suggestions) return;
+    suggestions.list.forEach((s, i) => {
+      const { px, py } = tileToPx(s.x, s.y, bounds, cell, margin);
+      const cx = px + cell / 2, cy = py + cell / 2;
+      ctx.save();
+      ctx.strokeStyle = "rgba(120,220,255,0.9)";
+      ctx.fillStyle = "rgba(120,220,255,0.18)";
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.arc(cx, cy, Math.max(7, cell * 0.45), 0, Math.PI * 2);
+      ctx.fill();
+      ctx.stroke();
+      ctx.fillStyle = "#e7ecf4";
+      ctx.font = "bold 12px system-ui, -apple-system, Segoe UI, Roboto, sans-serif";
+      ctx.textAlign = "center";
+      ctx.textBaseline = "middle";
+      ctx.fillText(String(i + 1), cx, cy);
+      ctx.font = "11px system-ui, -apple-system, Segoe UI, Roboto, sans-serif";
+      ctx.textBaseline = "top";
+      ctx.fillText(`dx ${s.dx}, dy ${s.dy}`, cx, cy + Math.max(9, cell * 0.5));
+      ctx.restore();
+    });
+  }
+
+  if (suggestBtn) suggestBtn.addEventListener("click", onSuggestClick);
+  if (suggestListEl) suggestListEl.addEventListener("click", onSuggestListClick);
+  if (suggestGoalEl) suggestGoalEl.addEventListener("change", () => {
+    if (suggestions || suggestPending) onSuggestClick();
+  });
+  if (walkRadiusEl) walkRadiusEl.addEventListener("change", () => {
+    state.settings.walkRadius = clamp(parseIntSafe(walkRadiusEl.value, 8), 1, 20);
+    saveState("Change walking range");
+    if (suggestions || suggestPending) onSuggestClick();
+    else renderSuggestions();
+  });
+
+  // ---------- Tunnel planner ----------
+  // Routes from the current position through the chosen veins, digging as few tiles as possible.
+  const PLAN_MAX_TILES = 6;
+  const PLAN_MARGIN = 8;
+  const PLAN_ORDERS = ["quality", "ore", "nearest"];
+  const TUNNEL_STEPS = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+
+  let planning = false;
+  let route = null; // { legs: [{ target, path, digs }], unreachable: [target] }
+  const planExcluded = new Set(); // veinKeys left out of the route
+
+  // Locked veins and veins narrowed to a handful of tiles.
+  function planTargets() {
+    return lastSolve.veins
+      .filter(v => v.feasible.size > 0 && (v.locked || v.feasible.size <= PLAN_MAX_TILES))
+      .map(v => ({ key: veinKey(v), name: veinDisplayName(v.ore, v.qlDisplay), ore: v.ore, qlDisplay: v.qlDisplay, color: v.qlColor, tiles: [...v.feasible] }));
+  }
+
+  function qualityRank(t) {
+    return parseIntSafe(t.qlDisplay, -1);
+  }
+
+  // Cheapest dig cost (0-1 BFS) from start to every tile in box; entering a closed tile costs one dig.
+  function digCosts(start, open, blocked, box) {
+    const startKey = coordKey(start.x, start.y);
+    const cost = new Map([[startKey, 0]]);
+    const prev = new Map();
+    const buckets = [[startKey]];
+    for (let d = 0; d < buckets.length; d++) {
+      const bucket = buckets[d] || [];
+      for (let i = 0; i < bucket.length; i++) {
+        const k = bucket[i];
+        if (cost.get(k) !== d) continue;
+        const c = parseCoordKey(k);
+        for (const [sx, sy] of TUNNEL_STEPS) {
+          const x = c.x + sx, y = c.y + sy;
+          if (x < box.minX || x > box.maxX || y < box.minY || y > box.maxY) continue;
+          const nk = coordKey(x, y);
+          if (blocked.has(nk)) continue;
+          const nd = d + (open.has(nk) ? 0 : 1);
+          if (nd >= (cost.has(nk) ? cost.get(nk) : Infinity)) continue;
+          cost.set(nk, nd);
+          prev.set(nk, k);
+          (buckets[nd] = buckets[nd] || []).push(nk);
+        }
+      }
+    }
+    return { cost, prev };
+  }
+
+  function pathTo(prev, startKey, endKey) {
+    const path = [endKey];
+    while (path[0] !== startKey) path.unshift(prev.get(path[0]));
+    return path.map(parseCoordKey);
+  }
+
+  function planRoute() {
+    const targets = planTargets().filter(t => !planExcluded.has(t.key));
+    const order = state.settings.planOrder;
+    if (order === "quality") targets.sort((a, b) => qualityRank(b) - qualityRank(a) || a.name.localeCompare(b.name));
+    if (order === "ore") targets.sort((a, b) => a.name.localeCompare(b.name));
+
+    const start = currentPosition();
+    const open = new Set([...state.entries, ...state.marks].map(p => coordKey(p.x, p.y)));
+    for (const k of terrainKeys("open")) open.add(k);
+    const targetKeys = new Set(targets.flatMap(t => t.tiles));
+    const blocked = new Set(terrainKeys("blocked").filter(k => !targetKeys.has(k)));
+    if (state.settings.planAvoidDug) {
+      for (const m of state.marks) {
+        const k = coordKey(m.x, m.y);
+        if (!targetKeys.has(k)) blocked.add(k);
+      }
+    }
+    const points = [start, ...[...targetKeys].map(parseCoordKey)];
+    const box = {
+      minX: Math.min(...points.map(p => p.x)) - PLAN_MARGIN,
+      maxX: Math.max(...points.map(p => p.x)) + PLAN_MARGIN,
+      minY: Math.min(...points.map(p => p.y)) - PLAN_MARGIN,
+      maxY: Math.max(...points.map(p => p.y)) + PLAN_MARGIN
+    };
+
+    const legs = [], unreachable = [];
+    let pos = start;
+    const remaining = targets.slice();
+    while (remaining.length) {
+      const { cost, prev } = digCosts(pos, open, blocked, box);
+      // Each target is reached at its cheapest candidate tile; "nearest" also picks the cheapest target.
+      const reach = t => t.tiles
+        .filter(k => cost.has(k))
+        .reduce((best, k) => (!best || cost.get(k) < cost.get(best) ? k : best), null);
+      let idx = 0;
+      if (order === "nearest") {
+        let bestCost = Infinity;
+        remaining.forEach((t, i) => {
+          const k = reach(t);
+          if (k && cost.get(k) < bestCost) { bestCost = cost.get(k); idx = i; }
+        });
+      }
+      const target = remaining.splice(idx, 1)[0];
+      const end = reach(target);
+      if (!end) { unreachable.push(target); continue; }
+      const path = pathTo(prev, coordKey(pos.x, pos.y), end);
+      legs.push({ target, path, digs: cost.get(end) });
+      // Tiles dug on earlier legs are open for later ones.
+      for (const p of path) open.add(coordKey(p.x, p.y));
+      pos = path[path.length - 1];
+    }
+    return { legs, unreachable };
+  }
+
+  function renderPlanner() {
+    if (planOrderEl) planOrderEl.value = state.settings.planOrder;
+    if (planAvoidDugEl) planAvoidDugEl.checked = !!state.settings.planAvoidDug;
+    if (planBtn) planBtn.textContent = planning ? "Clear route" : "Plan route";
+
+    if (planTargetsEl) {
+      const keys = new Map();
+      for (const t of planTargets()) if (!keys.has(t.key)) keys.set(t.key, t);
+      planTargetsEl.innerHTML = keys.size === 0
+        ? `<div class="microhint">No locked or narrowed veins yet.</div>`
+        : [...keys.values()].map(t => `
+          <label><input type="checkbox" data-plan-key="${escapeHtml(t.key)}" ${planExcluded.has(t.key) ? "" : "checked"} />
+            <span class="swatchDot" style="background:${escapeHtml(t.color)}"></span>${escapeHtml(t.name)}</label>
+        `).join("");
+    }
+
+    if (!planLegsEl) return;
+    if (!route) { planLegsEl.innerHTML = ""; return; }
+    const lines = route.legs.map((leg, i) => {
+      const end = leg.path[leg.path.length - 1];
+      return `<div>Leg ${i + 1} → <b>${escapeHtml(leg.target.name)}</b> at (${end.x}, ${end.y}): ${leg.path.length - 1} tiles, ${leg.digs} to dig</div>`;
+    });
+    for (const t of route.unreachable) lines.push(`<div class="bad">${escapeHtml(t.name)}: no route</div>`);
+    const total = route.legs.reduce((sum, leg) => sum + leg.digs, 0);
+    if (route.legs.length) lines.push(`<div><b>Total:</b> ${total} tiles to dig</div>`);
+    planLegsEl.innerHTML = lines.join("") || `<div class="microhint">Nothing to visit.</div>`;
+  }
+
+  function drawRoute(bounds, cell, margin) {
+    if (!route) return;
+    const center = p => {
+      const { px, py } = tileToPx(p.x, p.y, bounds, cell, margin);
+      return { cx: px + cell / 2, cy: py + cell / 2 };
+    };
+    ctx.save();
+    ctx.lineWidth = 3;
+    ctx.lineJoin = "round";
+    ctx.strokeStyle = "rgba(255,176,32,0.9)";
+    for (const leg of route.legs) {
+      ctx.beginPath();
+      leg.path.forEach((p, i) => {
+        const { cx, cy } = center(p);
+        if (i === 0) ctx.moveTo(cx, cy);
+        else ctx.lineTo(cx, cy);
+      });
+      ctx.stroke();
+    }
+    ctx.font = "bold 12px system-ui, -apple-system, Segoe UI, Roboto, sans-serif";
+    ctx.textAlign = "left";
+    ctx.textBaseline = "bottom";
+    route.legs.forEach((leg, i) => {
+      const { cx, cy } = center(leg.path[leg.path.length - 1]);
+      const text = `L${i + 1}: ${leg.path.length - 1} (${leg.digs} dig)`;
+      ctx.fillStyle = "rgba(10,14,20,0.85)";
+      ctx.fillRect(cx + 6, cy - 22, ctx.measureText(text).width + 8, 16);
+      ctx.fillStyle = "#ffb020";
+      ctx.fillText(text, cx + 10, cy - 8);
+    });
+    ctx.restore();
+  }
+
+  if (planBtn) planBtn.addEventListener("click", () => {
+    planning = !planning;
+    render();
+  });
+  if (planOrderEl) planOrderEl.addEventListener("change", () => {
+    state.settings.planOrder = PLAN_ORDERS.includes(planOrderEl.value) ? planOrderEl.value : "quality";
+    saveState("Change planner order");
+    render();
+  });
+  if (planAvoidDugEl) planAvoidDugEl.addEventListener("change", () => {
+    state.settings.planAvoidDug = planAvoidDugEl.checked;
+    saveState(planAvoidDugEl.checked ? "Avoid dug tiles in planner" : "Allow dug tiles in planner");
+    render();
+  });
+  if (planTargetsEl) planTargetsEl.addEventListener("change", ev => {
+    const key = ev.target.dataset.planKey;
+    if (key === undefined) return;
+    if (ev.target.checked) planExcluded.delete(key);
+    else planExcluded.add(key);
+    render();
+  });
+
+  // ---------- UX ----------
+  function currentPosition() {
+    if (state.entries.length === 0) return { x: 0, y: 0 };
+    const last = state.entries[state.entries.length - 1];
+    return { x: last.x, y: last.y };
+  }
+
+  function addEntry() {
+    const raw = (logTextEl.value || "").trim();
+    if (!raw) { alert("Paste a log block first."); return; }
+
+    const { sessions } = parseLogSessions(raw);
+    if (sessions.length === 0) {
+      alert("No usable session found. Paste must include 'You start to gather fragments...' or 'You start to analyse/analyze the shard/ore.'");
+      return;
+    }
+
+    sessions.forEach((sess, i) => {
+      const { dx, dy } = sessionStep(i);
+      appendSession(sess, dx, dy);
+    });
+    saveState(sessions.length > 1 ? `Add ${sessions.length} entries` : "Add entry");
+
+    logTextEl.value = "";
+    sessionSteps = [];
+    renderParsePreview();
+    render();
+  }
+
+  // sess is a parseLogSessions() session; the step is taken from the latest entry.
+  function appendSession(sess, dx, dy) {
+    const cur = currentPosition();
+    state.entries.push({ x: cur.x + dx, y: cur.y + dy, dx, dy, parsed: sess.result, raw: sess.raw, time: sess.time });
+  }
+
+  function resetAll() {
+    if (!confirm(`Reset all entries of project "${activeProject().name}"? Undo or the History panel can bring them back.`)) return;
     state.entries = [];
-    state.nextVeinId = 1;
-    saveState();
+    state.marks = [];
+    editingIndex = -1;
+    saveState("Reset");
     render();
   }
 
   function downloadPNG() {
-    const ts = new Date().toISOString().replace(/[:.]/g, "-");
     const a = document.createElement("a");
-    a.download = `wo_shard_map_${ts}.png`;
+    a.download = `wo_shard_map_${fileStamp()}.png`;
     a.href = canvas.toDataURL("image/png");
     a.click();
   }
 
+  // ---------- SVG map ----------
+  // Records the subset of the 2D canvas API the draw* functions use and replays it as SVG elements.
+  function createSvgContext(width, height, measureCtx) {
+    const defs = [];
+    const body = [];
+    let ids = 0;
+    let path = "";
+    let cur = { x: 0, y: 0 };
+    let st = {
+      fillStyle: "#000", strokeStyle: "#000", lineWidth: 1, lineJoin: "miter", font: "10px sans-serif",
+      textAlign: "start", textBaseline: "alphabetic", globalAlpha: 1, dash: [], clip: null
+    };
+    const stack = [];
+    const n = v => Math.round(v * 100) / 100;
+
+    const paint = style => {
+      if (typeof style === "string") return escapeHtml(style);
+      const id = `g${++ids}`;
+      defs.push(`<linearGradient id="${id}" gradientUnits="userSpaceOnUse" x1="${n(style.x0)}" y1="${n(style.y0)}" x2="${n(style.x1)}" y2="${n(style.y1)}">${
+        style.stops.map(s => `<stop offset="${s.offset}" stop-color="${escapeHtml(s.color)}"/>`).join("")}</linearGradient>`);
+      return `url(#${id})`;
+    };
+    const common = () =>
+      (st.globalAlpha !== 1 ? ` opacity="${st.globalAlpha}"` : "") + (st.clip ? ` clip-path="url(#${st.clip})"` : "");
+    const strokeAttrs = () =>
+      ` fill="none" stroke="${paint(st.strokeStyle)}" stroke-width="${st.lineWidth}" stroke-linejoin="${st.lineJoin}"` +
+      (st.dash.length ? ` stroke-dasharray="${st.dash.join(" ")}"` : "");
+
+    const c = {
+      get canvas() { return { width, height }; },
+      save() { stack.push({ ...st, dash: st.dash.slice() }); },
+      restore() { if (stack.length) st = stack.pop(); },
+      setLineDash(d) { st.dash = d.slice(); },
+      measureText(text) {
+        measureCtx.save();
+        measureCtx.font = st.font;
+        const m = measureCtx.measureText(text);
+        measureCtx.restore();
+        return m;
+      },
+      createLinearGradient(x0, y0, x1, y1) {
+        const g = { x0, y0, x1, y1, stops: [] };
+        g.addColorStop = (offset, color) => g.stops.push({ offset, color });
+        return g;
+      },
+      beginPath() { path = ""; },
+      moveTo(x, y) { path += `M${n(x)} ${n(y)}`; cur = { x, y }; },
+      lineTo(x, y) { path += `L${n(x)} ${n(y)}`; cur = { x, y }; },
+      closePath() { path += "Z"; },
+      rect(x, y, w, h) { path += `M${n(x)} ${n(y)}h${n(w)}v${n(h)}h${n(-w)}Z`; cur = { x, y }; },
+      arc(x, y, r, a0, a1) {
+        const sx = x + r * Math.cos(a0), sy = y + r * Math.sin(a0);
+        path += `${path ? "L" : "M"}${n(sx)} ${n(sy)}`;
+        if (Math.abs(a1 - a0) >= Math.PI * 2 - 1e-6) {
+          // A full circle needs two half arcs.
+          const mx = x - r * Math.cos(a0), my = y - r * Math.sin(a0);
+          path += `A${n(r)} ${n(r)} 0 1 1 ${n(mx)} ${n(my)}A${n(r)} ${n(r)} 0 1 1 ${n(sx)} ${n(sy)}`;
+          cur = { x: sx, y: sy };
+          return;
+        }
+        const ex = x + r * Math.cos(a1), ey = y + r * Math.sin(a1);
+        path += `A${n(r)} ${n(r)} 0 ${a1 - a0 > Math.PI ? 1 : 0} 1 ${n(ex)} ${n(ey)}`;
+        cur = { x: ex, y: ey };
+      },
+      arcTo(x1, y1, x2, y2, r) {
+        const v1 = { x: cur.x - x1, y: cur.y - y1 }, v2 = { x: x2 - x1, y: y2 - y1 };
+        const l1 = Math.hypot(v1.x, v1.y), l2 = Math.hypot(v2.x, v2.y);
+        const angle = Math.acos(clamp((v1.x * v2.x + v1.y * v2.y) / (l1 * l2 || 1), -1, 1));
+        if (!r || !l1 || !l2 || angle < 1e-6 || Math.PI - angle < 1e-6) { c.lineTo(x1, y1); return; }
+        const d = r / Math.tan(angle / 2);
+        const t1 = { x: x1 + (v1.x / l1) * d, y: y1 + (v1.y / l1) * d };
+        const t2 = { x: x1 + (v2.x / l2) * d, y: y1 + (v2.y / l2) * d };
+        const sweep = v1.x * v2.y - v1.y * v2.x < 0 ? 1 : 0;
+        path += `L${n(t1.x)} ${n(t1.y)}A${n(r)} ${n(r)} 0 0 ${sweep} ${n(t2.x)} ${n(t2.y)}`;
+        cur = t2;
+      },
+      clip() {
+        const id = `c${++ids}`;
+        defs.push(`<clipPath id="${id}"><path d="${path}"/></clipPath>`);
+        st.clip = id;
+      },
+      fill() { if (path) body.push(`<path d="${path}" fill="${paint(st.fillStyle)}"${common()}/>`); },
+      stroke() { if (path) body.push(`<path d="${path}"${strokeAttrs()}${common()}/>`); },
+      fillRect(x, y, w, h) {
+        body.push(`<rect x="${n(x)}" y="${n(y)}" width="${n(w)}" height="${n(h)}" fill="${paint(st.fillStyle)}"${common()}/>`);
+      },
+      strokeRect(x, y, w, h) {
+        body.push(`<rect x="${n(x)}" y="${n(y)}" width="${n(w)}" height="${n(h)}"${strokeAttrs()}${common()}/>`);
+      },
+      fillText(text, x, y) {
+        const anchor = { center: "middle", right: "end", end: "end" }[st.textAlign] || "start";
+        const baseline = { top: "hanging", middle: "central", bottom: "text-after-edge" }[st.textBaseline] || "auto";
+        body.push(`<text x="${n(x)}" y="${n(y)}" text-anchor="${anchor}" dominant-baseline="${baseline}" style="font:${escapeHtml(st.font)}" fill="${paint(st.fillStyle)}"${common()}>${escapeHtml(text)}</text>`);
+      },
+      toString() {
+        return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">` +
+          `<defs>${defs.join("")}</defs>${body.join("")}</svg>`;
+      }
+    };
+    for (const key of Object.keys(st).filter(k => k !== "dash" && k !== "clip")) {
+      Object.defineProperty(c, key, { get: () => st[key], set: v => { st[key] = v; } });
+    }
+    return c;
+  }
+
+  // The current map (same layer, zoom and pan) as an SVG document.
+  function mapSvg() {
+    const real = ctx;
+    const svg = createSvgContext(canvas.width, canvas.height, real);
+    ctx = svg;
+    try { drawMap(); } finally { ctx = real; }
+    return svg.toString();
+  }
+
+  function downloadSVG() {
+    downloadText(`wo_shard_map_${fileStamp()}.svg`, mapSvg(), "image/svg+xml");
+  }
+
+  // ---------- Vein exports and report ----------
+  // One record per vein: status plus every feasible tile, relative to Source and in world tiles when anchored.
+  function veinRecords() {
+    return lastSolve.veins.map(v => {
+      const tiles = [];
+      v.feasible.forEachTile((x, y) => {
+        const w = worldCoord(x, y);
+        const tile = { x, y, worldX: w ? w.x : null, worldY: w ? w.y : null };
+        if (v.heat) tile.score = Math.round((v.heat.getXY(x, y) || 0) * 1000) / 1000;
+        tiles.push(tile);
+      });
+      return {
+        id: v.id,
+        ore: v.ore,
+        quality: v.qlDisplay,
+        name: veinDisplayName(v.ore, v.qlDisplay),
+        status: v.locked ? "locked" : "unresolved",
+        lockedAt: v.lockedCoord,
+        tiles
+      };
+    });
+  }
+
+  function csvCell(v) {
+    const s = v === null || v === undefined ? "" : String(v);
+    return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  }
+
+  function exportVeinsCSV() {
+    const rows = [["vein_id", "ore", "quality", "status", "tile_count", "x", "y", "world_x", "world_y", "score"]];
+    for (const v of veinRecords()) {
+      for (const t of v.tiles) {
+        rows.push([v.id, v.ore, v.quality, v.status, v.tiles.length, t.x, t.y, t.worldX, t.worldY, t.score]);
+      }
+    }
+    downloadText(`wo_shard_veins_${fileStamp()}.csv`, rows.map(r => r.map(csvCell).join(",")).join("\n") + "\n", "text/csv");
+  }
+
+  function exportVeinsJSON() {
+    const payload = {
+      exportedAt: new Date().toISOString(),
+      project: activeProject().name,
+      solver: state.settings.solver,
+      anchor: state.anchor,
+      veins: veinRecords()
+    };
+    downloadText(`wo_shard_veins_${fileStamp()}.json`, JSON.stringify(payload, null, 2), "application/json");
+  }
+
+  function reportHtml() {
+    const esc = escapeHtml;
+    const project = activeProject();
+    const veins = veinRecords();
+    const locked = veins.filter(v => v.status === "locked").length;
+    const where = c => {
+      if (!c) return "—";
+      const w = worldCoord(c.x, c.y);
+      return `${c.x}, ${c.y}${w ? ` (world ${w.x}, ${w.y})` : ""}`;
+    };
+    const veinRows = veins.map(v => `
+      <tr><td>${esc(v.name)}</td><td>${v.status}</td><td>${v.tiles.length}</td><td>${esc(where(v.lockedAt))}</td></tr>`).join("");
+    const entryRows = state.entries.map((e, i) => {
+      const p = e.parsed;
+      const traces = p.traces.map(t => `${esc(describeTrace(t))}${t.dropped ? " <i>(dropped)</i>" : ""}`).join("<br>") || "—";
+      const mine = p.mineOre ? `${esc(titleCase(p.mineOre))}${Number.isFinite(p.mineMaxQl) ? ` QL ${p.mineMaxQl}` : ""}` : "—";
+      return `
+      <tr${isEntryEnabled(e) ? "" : ` class="off"`}><td>${i + 1}</td><td>${esc(e.time || "")}</td><td>${e.x}, ${e.y}</td><td>${e.dx}, ${e.dy}</td><td>${mine}</td><td>${traces}</td></tr>`;
+    }).join("");
+    const conflicts = lastSolve.conflicts.map(c => `<li>${esc(veinDisplayName(c.ore, c.qlDisplay))}: ${esc(conflictCauseText(c))}</li>`).join("");
+
+    return `<!doctype html>
+<html><head><meta charset="utf-8"><title>Shard analysis — ${esc(project.name)}</title>
+<style>
+  body{ font: 13px system-ui, -apple-system, Segoe UI, Roboto, sans-serif; color:#111; margin: 24px; }
+  h1{ font-size: 20px; } h2{ font-size: 15px; margin-top: 24px; }
+  table{ border-collapse: collapse; width: 100%; } th, td{ border: 1px solid #ccc; padding: 4px 6px; text-align: left; vertical-align: top; }
+  tr.off{ color: #888; } .map svg{ width: 100%; height: auto; } .noprint{ margin-bottom: 12px; }
+  @media print{ .noprint{ display:none; } }
+</style></head><body>
+<div class="noprint"><button onclick="print()">Print</button></div>
+<h1>Shard analysis — ${esc(project.name)}</h1>
+<p>Generated ${esc(new Date().toLocaleString())} · ${state.entries.length} entries · solver: ${state.settings.solver === "heatmap" ? "likelihood heatmap" : "strict intersection"} ·
+${state.anchor ? `Source at world tile ${state.anchor.x}, ${state.anchor.y}` : "no world anchor"}</p>
+<div class="map">${mapSvg()}</div>
+<h2>Veins (${locked} locked of ${veins.length})</h2>
+<table><tr><th>Vein</th><th>Status</th><th>Tiles</th><th>Locked at</th></tr>${veinRows}</table>
+${conflicts ? `<h2>Conflicts</h2><ul>${conflicts}</ul>` : ""}
+<h2>Entries</h2>
+<table><tr><th>#</th><th>Time</th><th>Position</th><th>Step</th><th>Mine</th><th>Traces</th></tr>${entryRows}</table>
+</body></html>`;
+  }
+
+  function openReport() {
+    const win = window.open("", "_blank");
+    if (!win) { alert("Allow pop-ups for this page to open the report."); return; }
+    win.document.open();
+    win.document.write(reportHtml());
+    win.document.close();
+  }
+
+  // ---------- Parse preview ----------
+  const NOTE_LABELS = {
+    start: "start",
+    end: "finish",
+    mine: "mine ore",
+    maxql: "max QL",
+    trace: "trace",
+    ignored: "ignored"
+  };
+
+  function noteDetail(n) {
+    if (n.kind === "trace") return describeTrace(n.trace);
+    if (n.kind === "mine") return titleCase(n.ore);
+    if (n.kind === "maxql") return Number.isFinite(n.ql) ? String(n.ql) : "?";
+    if (n.kind === "start") return n.surface ? "surface prospecting" : "";
+    return n.reason || "";
+  }
+
+  // Step for each extra session in a multi-session paste: { dx, dy, repeat }.
+  // Session 1 always uses the main step inputs; later sessions step from the previous one.
+  let sessionSteps = [];
+
+  function sessionStep(i) {
+    if (i === 0) {
+      return {
+        dx: parseIntSafe(stepXEl ? stepXEl.value : 0, 0),
+        dy: parseIntSafe(stepYEl ? stepYEl.value : 0, 0)
+      };
+    }
+    const st = sessionSteps[i] || { dx: 0, dy: 0, repeat: false };
+    return st.repeat ? { dx: 0, dy: 0 } : { dx: st.dx, dy: st.dy };
+  }
+
+  function previewLinesHtml(notes) {
+    return notes.map(n => `
+      <div class="previewLine ${n.kind}">
+        <span class="previewKind">${NOTE_LABELS[n.kind]}</span>
+        <span class="previewText">${escapeHtml(n.line)}</span>
+        <span class="previewDetail">${escapeHtml(noteDetail(n))}</span>
+      </div>
+    `).join("");
+  }
+
+  function sessionStepHtml(i) {
+    if (i === 0) return `<div class="microhint">Uses the step inputs above.</div>`;
+    const st = sessionSteps[i] || { dx: 0, dy: 0, repeat: false };
+    return `
+      <div class="sessionStep" data-session="${i}">
+        <label>E/W <input type="number" data-field="dx" value="${st.dx}" ${st.repeat ? "disabled" : ""} /></label>
+        <label>N/S <input type="number" data-field="dy" value="${st.dy}" ${st.repeat ? "disabled" : ""} /></label>
+        <label><input type="checkbox" data-field="repeat" ${st.repeat ? "checked" : ""} /> repeat at same tile</label>
+      </div>
+    `;
+  }
+
+  function renderParsePreview() {
+    if (!parsePreviewEl) return;
+    const raw = (logTextEl.value || "").trim();
+    if (!raw) {
+      parsePreviewEl.innerHTML = "";
+      return;
+    }
+
+    const { sessions, notes } = parseLogSessions(raw);
+    if (sessions.length <= 1) {
+      const ignored = notes.filter(n => n.kind === "ignored").length;
+      const summary = sessions.length
+        ? `${sessions[0].result.traces.length} trace(s) accepted, ${ignored} line(s) ignored`
+        : "No start marker found — nothing will be added";
+
+      parsePreviewEl.innerHTML = `
+        <div class="previewSummary${sessions.length ? "" : " bad"}">${escapeHtml(summary)}</div>
+        ${previewLinesHtml(notes)}
+      `;
+      return;
+    }
+
+    // Multi-session paste: one card per session with its own step, lines outside sessions listed after.
+    const outside = notes.filter(n => !sessions.some(sess => sess.notes.includes(n)));
+    parsePreviewEl.innerHTML = `
+      <div class="previewSummary">${sessions.length} sessions found — each becomes its own entry</div>
+      ${sessions.map((sess, i) => `
+        <div class="sessionCard">
+          <div class="sessionHead">
+            <b>Session ${i + 1}</b>${sess.time ? ` · ${escapeHtml(sess.time)}` : ""} · ${sess.result.traces.length} trace(s)
+          </div>
+          ${sessionStepHtml(i)}
+          ${previewLinesHtml(sess.notes)}
+        </div>
+      `).join("")}
+      ${outside.length ? `<div class="previewSummary">Outside any session</div>${previewLinesHtml(outside)}` : ""}
+    `;
+  }
+
+  function onSessionStepInput(ev) {
+    const row = ev.target.closest("[data-session]");
+    if (!row) return;
+    const i = parseIntSafe(row.dataset.session, 0);
+    const st = sessionSteps[i] || (sessionSteps[i] = { dx: 0, dy: 0, repeat: false });
+    const field = ev.target.dataset.field;
+    if (field === "repeat") {
+      st.repeat = ev.target.checked;
+      renderParsePreview();
+    } else if (field === "dx" || field === "dy") {
+      st[field] = parseIntSafe(ev.target.value, 0);
+    }
+  }
+
+  logTextEl.addEventListener("input", renderParsePreview);
+  if (parsePreviewEl) {
+    parsePreviewEl.addEventListener("input", ev => {
+      if (ev.target.dataset.field !== "repeat") onSessionStepInput(ev);
+    });
+    parsePreviewEl.addEventListener("change", ev => {
+      if (ev.target.dataset.field === "repeat") onSessionStepInput(ev);
+    });
+  }
+
+  // ---------- Event log file ----------
+  // The client's event log, picked or dropped. Its sessions go into the paste box; while following,
+  // sessions appended later become pending entries that only need a step.
+  const FOLLOW_INTERVAL_MS = 2000;
+
+  let logSource = null;     // { name, handle, file }: handle (File System Access API) when the file can be re-read
+  let followTimer = null;
+  let followBusy = false;   // a poll is still reading; the next tick skips
+  let followOffset = 0;     // bytes of the file already read
+  let followCarry = "";     // text of a session still being written
+  let pendingSessions = []; // [{ id, sess, dx, dy }]
+  let nextPendingId = 1;
+
+  function readLogSource() {
+    return logSource.handle ? logSource.handle.getFile() : Promise.resolve(logSource.file);
+  }
+
+  // A session counts once it has its finish line or the next session started; the rest is carried over.
+  function takeCompleteSessions(text) {
+    const cut = text.lastIndexOf("\n") + 1;
+    const { sessions } = parseLogSessions(text.slice(0, cut));
+    const last = sessions[sessions.length - 1];
+    const open = last && !last.notes.some(n => n.kind === "end") ? sessions.pop() : null;
+    return {
+      done: sessions.filter(s => s.result),
+      carry: (open ? `${open.raw}\n` : "") + text.slice(cut)
+    };
+  }
+
+  async function openLogSource(source) {
+    stopFollowing();
+    logSource = source;
+    let file, text;
+    try {
+      file = await readLogSource();
+      text = await file.text();
+    } catch (e) {
+      setLogStatus(`Cannot read ${source.name}: ${e.message}`, true);
+      return;
+    }
+
+    // A last line without its newline may still be being written; it waits in the carry for the next poll.
+    const { done: complete, carry } = takeCompleteSessions(text);
+    // Without a handle the file cannot be re-read, so an unfinished last session is taken as it stands.
+    const done = source.handle ? complete : parseLogSessions(text).sessions.filter(s => s.result);
+    followOffset = file.size;
+    followCarry = carry.trim() ? carry : "";
+    if (followLogEl) {
+      followLogEl.disabled = !source.handle;
+      followLogEl.checked = false;
+    }
+
+    if (done.length === 0) {
+      setLogStatus(`No analyse sessions in ${source.name}.`, !source.handle);
+      return;
+    }
+    if ((logTextEl.value || "").trim() && !confirm(`Replace the pasted text with ${done.length} session(s) from ${source.name}?`)) {
+      setLogStatus(`Loaded ${source.name}.`);
+      return;
+    }
+    logTextEl.value = done.map(s => s.raw).join("\n");
+    sessionSteps = [];
+    renderParsePreview();
+    setLogStatus(`${done.length} session(s) from ${source.name} — set their steps below and add them.`);
+  }
+
+  function setLogStatus(text, bad = false) {
+    if (!logFileStatusEl) return;
+    logFileStatusEl.textContent = text;
+    logFileStatusEl.classList.toggle("bad", bad);
+  }
+
+  function startFollowing() {
+    if (!logSource || !logSource.handle || followTimer) return;
+    followTimer = setInterval(pollLogSource, FOLLOW_INTERVAL_MS);
+    setLogStatus(`Following ${logSource.name} — new analyses appear below.`);
+  }
+
+  function stopFollowing() {
+    if (followTimer) clearInterval(followTimer);
+    followTimer = null;
+    if (followLogEl) followLogEl.checked = false;
+  }
+
+  async function pollLogSource() {
+    if (followBusy) return;
+    followBusy = true;
+    try {
+      await readLogUpdate(logSource);
+    } finally {
+      followBusy = false;
+    }
+  }
+
+  async function readLogUpdate(source) {
+    let file;
+    try { file = await readLogSource(); }
+    catch (e) {
+      if (logSource !== source) return;
+      stopFollowing();
+      setLogStatus(`Stopped following ${logSource.name}: ${e.message}`, true);
+      return;
+    }
+    // Another file was opened while this one was being read.
+    if (logSource !== source) return;
+    if (file.size === followOffset) return;
+    if (file.size < followOffset) {
+      // Truncated or replaced (e.g. the client started a new log): continue from its current end.
+      followOffset = file.size;
+      followCarry = "";
+      return;
+    }
+    // A file the game appended to since getFile() fails to read (NotReadableError); the next poll tries again.
+    let added;
+    try { added = await file.slice(followOffset).text(); }
+    catch (_) { return; }
+    if (logSource !== source) return;
+    followOffset = file.size;
+    const { done, carry } = takeCompleteSessions(followCarry + added);
+    followCarry = carry;
+    if (done.length === 0) return;
+    for (const sess of done) pendingSessions.push({ id: nextPendingId++, sess, dx: 0, dy: 0 });
+    renderPending();
+  }
+
+  function renderPending() {
+    if (!pendingListEl) return;
+    pendingListEl.innerHTML = pendingSessions.length ? `
+      <div class="previewSummary">${pendingSessions.length} new analyse session(s) — enter the step from your last entry</div>
+      ${pendingSessions.map(p => `
+        <div class="sessionCard" data-pending="${p.id}">
+          <div class="sessionHead">
+            <b>${p.sess.time ? escapeHtml(p.sess.time) : "New session"}</b> · ${p.sess.result.traces.length} trace(s)
+            ${p.sess.result.mineOre ? ` · mine ${escapeHtml(titleCase(p.sess.result.mineOre))}` : ""}
+          </div>
+          <div class="microhint">${p.sess.result.traces.map(t => escapeHtml(describeTrace(t))).join("<br>") || "No traces"}</div>
+          <div class="sessionStep">
+            <label>E/W <input type="number" data-field="dx" value="${p.dx}" /></label>
+            <label>N/S <input type="number" data-field="dy" value="${p.dy}" /></label>
+            <button class="btn small" type="button" data-action="add">Add</button>
+            <button class="btn small" type="button" data-action="dismiss">Dismiss</button>
+          </div>
+        </div>
+      `).join("")}
+    ` : "";
+  }
+
+  function onPendingInput(ev) {
+    const card = ev.target.closest("[data-pending]");
+    const field = ev.target.dataset.field;
+    if (!card || (field !== "dx" && field !== "dy")) return;
+    const p = pendingSessions.find(q => q.id === parseIntSafe(card.dataset.pending, 0));
+    if (p) p[field] = parseIntSafe(ev.target.value, 0);
+  }
+
+  function onPendingClick(ev) {
+    const btn = ev.target.closest("button[data-action]");
+    const card = ev.target.closest("[data-pending]");
+    if (!btn || !card) return;
+    const id = parseIntSafe(card.dataset.pending, 0);
+    const p = pendingSessions.find(q => q.id === id);
+    if (!p) return;
+    pendingSessions = pendingSessions.filter(q => q !== p);
+    if (btn.dataset.action === "add") {
+      appendSession(p.sess, p.dx, p.dy);
+      saveState(`Add entry from ${logSource ? logSource.name : "event log"}`);
+      render();
+    }
+    renderPending();
+  }
+
+  async function pickLogFile() {
+    if (typeof window.showOpenFilePicker !== "function") {
+      if (logFileInputEl) logFileInputEl.click();
+      return;
+    }
+    let handle;
+    try {
+      [handle] = await window.showOpenFilePicker({ types: [{ description: "Wurm event log", accept: { "text/plain": [".txt", ".log"] } }] });
+    } catch (_) {
+      return; // picker dismissed
+    }
+    openLogSource({ name: handle.name, handle, file: null });
+  }
+
+  async function onLogDrop(ev) {
+    const dt = ev.dataTransfer;
+    if (!dt || !dt.files || dt.files.length === 0) return;
+    ev.preventDefault();
+    const item = dt.items && dt.items[0];
+    const file = dt.files[0];
+    // getAsFileSystemHandle has to be called before the drop handler yields.
+    const handlePromise = item && typeof item.getAsFileSystemHandle === "function" ? item.getAsFileSystemHandle() : null;
+    let handle = null;
+    try { handle = handlePromise ? await handlePromise : null; } catch (_) {}
+    openLogSource({ name: file.name, handle: handle && handle.kind === "file" ? handle : null, file });
+  }
+
+  if (logFileBtn) logFileBtn.addEventListener("click", pickLogFile);
+  if (logFileInputEl) logFileInputEl.addEventListener("change", () => {
+    const file = logFileInputEl.files && logFileInputEl.files[0];
+    logFileInputEl.value = "";
+    if (file) openLogSource({ name: file.name, handle: null, file });
+  });
+  if (followLogEl) followLogEl.addEventListener("change", () => {
+    if (followLogEl.checked) startFollowing();
+    else {
+      stopFollowing();
+      if (logSource) setLogStatus(`Stopped following ${logSource.name}.`);
+    }
+  });
+  logTextEl.addEventListener("dragover", ev => {
+    if (ev.dataTransfer && [...(ev.dataTransfer.types || [])].includes("Files")) ev.preventDefault();
+  });
+  logTextEl.addEventListener("drop", onLogDrop);
+  if (pendingListEl) {
+    pendingListEl.addEventListener("input", onPendingInput);
+    pendingListEl.addEventListener("click", onPendingClick);
+  }
+
+  // ---------- Detection model panel ----------
+  // Saved profiles are kept apart from the session state so they survive Reset.
+  const DEFAULT_PROFILE = "Default";
+  const CUSTOM_PROFILE = "";
+
+  function loadProfiles() {
+    try {
+      const obj = JSON.parse(localStorage.getItem(PROFILES_KEY) || "{}");
+      return obj && typeof obj === "object" ? obj : {};
+    } catch (_) {
+      return {};
+    }
+  }
+  function saveProfiles(profiles) {
+    try { localStorage.setItem(PROFILES_KEY, JSON.stringify(profiles)); } catch (_) {}
+  }
+
+  function allProfiles() {
+    return { [DEFAULT_PROFILE]: cloneDetection(DEFAULT_DETECTION), ...loadProfiles() };
+  }
+
+  function activeProfileName(profiles) {
+    const cur = JSON.stringify(detectionModel());
+    for (const [name, model] of Object.entries(profiles)) {
+      if (JSON.stringify(cloneDetection(model)) === cur) return name;
+    }
+    return CUSTOM_PROFILE;
+  }
+
+  function renderDetectionPanel() {
+    const profiles = allProfiles();
+    const active = activeProfileName(profiles);
+
+    if (profileSelectEl) {
+      profileSelectEl.innerHTML = "";
+      if (active === CUSTOM_PROFILE) profileSelectEl.appendChild(new Option("(unsaved changes)", CUSTOM_PROFILE));
+      for (const name of Object.keys(profiles)) profileSelectEl.appendChild(new Option(name, name));
+      profileSelectEl.value = active;
+    }
+    if (profileDeleteBtn) profileDeleteBtn.disabled = active === CUSTOM_PROFILE || active === DEFAULT_PROFILE;
+
+    if (geometrySelectEl) {
+      geometrySelectEl.innerHTML = "";
+      for (const [key, label] of Object.entries(GEOMETRY_PROFILES)) geometrySelectEl.appendChild(new Option(label, key));
+      geometrySelectEl.value = detectionModel().geometry;
+    }
+
+    if (ringTableEl) {
+      const rings = detectionModel().rings;
+      ringTableEl.innerHTML = `
+        <div class="ringRow ringHead"><span>Strength</span><span>Min</span><span>Max</span></div>
+        ${Object.entries(rings).map(([w, r]) => `
+          <div class="ringRow" data-word="${w}">
+            <span>${titleCase(w)}</span>
+            <input type="number" min="1" max="64" data-field="min" value="${r.min}" />
+            <input type="number" min="1" max="64" data-field="max" value="${r.max}" />
+          </div>
+        `).join("")}
+      `;
+    }
+  }
+
+  function applyDetection(model) {
+    state.settings.detection = cloneDetection(model);
+    saveState("Change detection model");
+    renderDetectionPanel();
+    render();
+  }
+
+  if (ringTableEl) ringTableEl.addEventListener("change", ev => {
+    const row = ev.target.closest("[data-word]");
+    if (!row) return;
+    const model = cloneDetection(detectionModel());
+    const ring = model.rings[row.dataset.word];
+    ring[ev.target.dataset.field] = parseIntSafe(ev.target.value, ring[ev.target.dataset.field]);
+    if (ring.min > ring.max) {
+      if (ev.target.dataset.field === "min") ring.max = ring.min;
+      else ring.min = ring.max;
+    }
+    applyDetection(model);
+  });
+
+  if (geometrySelectEl) geometrySelectEl.addEventListener("change", () => {
+    applyDetection({ ...detectionModel(), geometry: geometrySelectEl.value });
+  });
+
+  if (profileSelectEl) profileSelectEl.addEventListener("change", () => {
+    const model = allProfiles()[profileSelectEl.value];
+    if (model) applyDetection(model);
+  });
+
+  if (profileSaveBtn) profileSaveBtn.addEventListener("click", () => {
+    const name = (prompt("Save detection model as:", "") || "").trim();
+    if (!name) return;
+    if (name === DEFAULT_PROFILE) { alert(`"${DEFAULT_PROFILE}" is built in. Pick another name.`); return; }
+    const profiles = loadProfiles();
+    profiles[name] = cloneDetection(detectionModel());
+    saveProfiles(profiles);
+    renderDetectionPanel();
+  });
+
+  if (profileDeleteBtn) profileDeleteBtn.addEventListener("click", () => {
+    const name = profileSelectEl ? profileSelectEl.value : CUSTOM_PROFILE;
+    if (name === CUSTOM_PROFILE || name === DEFAULT_PROFILE) return;
+    if (!confirm(`Delete profile "${name}"?`)) return;
+    const profiles = loadProfiles();
+    delete profiles[name];
+    saveProfiles(profiles);
+    renderDetectionPanel();
+  });
+
+  // ---------- Quality bands panel ----------
+  function renderBandsPanel() {
+    if (!bandTableEl) return;
+    bandTableEl.innerHTML = `
+      <div class="bandRow ringHead"><span>Word</span><span>Min QL</span><span>Max QL</span><span>Colour</span></div>
+      ${qualityBands().map(b => `
+        <div class="bandRow" data-band="${b.key}">
+          <input type="text" data-field="word" value="${escapeHtml(b.word)}" />
+          <input type="number" min="0" max="${QL_MAX}" data-field="min" value="${b.min}" />
+          <input type="number" min="0" max="${QL_MAX}" data-field="max" value="${b.max}" />
+          <input type="color" data-field="color" value="${b.color}" />
+        </div>
+      `).join("")}
+    `;
+  }
+
+  function applyBands(bands) {
+    state.settings.qualityBands = cloneBands(bands);
+    saveState("Change quality bands");
+    renderBandsPanel();
+    render();
+  }
+
+  if (bandTableEl) bandTableEl.addEventListener("change", ev => {
+    const row = ev.target.closest("[data-band]");
+    if (!row) return;
+    const bands = cloneBands(qualityBands());
+    const band = bands.find(b => b.key === row.dataset.band);
+    const field = ev.target.dataset.field;
+    band[field] = field === "min" || field === "max" ? parseIntSafe(ev.target.value, band[field]) : ev.target.value;
+    if (band.min > band.max) {
+      if (field === "min") band.max = band.min;
+      else band.min = band.max;
+    }
+    applyBands(bands);
+  });
+
+  if (bandsResetBtn) bandsResetBtn.addEventListener("click", () => applyBands(DEFAULT_QUALITY_BANDS));
+
+  // ---------- Message packs panel ----------
+  function renderPacksPanel() {
+    if (!packListEl) return;
+    const list = loadMessagePacks();
+    packListEl.innerHTML = `
+      <div class="packRow"><span><input type="checkbox" checked disabled /> English</span><span class="microhint">built in</span></div>
+      ${list.map((p, i) => `
+        <div class="packRow" data-pack="${i}">
+          <label><input type="checkbox" data-action="toggle" ${p.enabled === false ? "" : "checked"} /> ${escapeHtml(p.name)}</label>
+          <span>
+            <button type="button" class="btn small" data-action="edit">Edit</button>
+            <button type="button" class="btn small danger" data-action="delete">Delete</button>
+          </span>
+        </div>
+      `).join("")}
+    `;
+  }
+
+  function onPacksChanged() {
+    renderPacksPanel();
+    renderParsePreview();
+  }
+
+  function savePackFromJson() {
+    let raw;
+    try {
+      raw = JSON.parse(packJsonEl.value);
+      compilePack(raw);
+    } catch (e) {
+      if (packErrorEl) packErrorEl.textContent = e.message;
+      return;
+    }
+    if (packErrorEl) packErrorEl.textContent = "";
+    const list = loadMessagePacks().filter(p => p.name !== raw.name.trim());
+    list.push({ ...raw, name: raw.name.trim(), enabled: true });
+    saveMessagePacks(list);
+    packJsonEl.value = "";
+    onPacksChanged();
+  }
+
+  function onPackListClick(ev) {
+    const row = ev.target.closest("[data-pack]");
+    const action = ev.target.dataset.action;
+    if (!row || !action) return;
+    const list = loadMessagePacks();
+    const i = parseIntSafe(row.dataset.pack, -1);
+    const pack = list[i];
+    if (!pack) return;
+    if (action === "toggle") pack.enabled = ev.target.checked;
+    else if (action === "edit") {
+      const { enabled, ...rest } = pack;
+      if (packJsonEl) packJsonEl.value = JSON.stringify(rest, null, 2);
+      return;
+    } else if (action === "delete") {
+      if (!confirm(`Delete message pack "${pack.name}"?`)) return;
+      list.splice(i, 1);
+    } else return;
+    saveMessagePacks(list);
+    onPacksChanged();
+  }
+
+  if (packAddBtn) packAddBtn.addEventListener("click", savePackFromJson);
+  if (packListEl) {
+    packListEl.addEventListener("click", ev => {
+      if (ev.target.matches("button[data-action]")) onPackListClick(ev);
+    });
+    packListEl.addEventListener("change", ev => {
+      if (ev.target.matches('input[data-action="toggle"]')) onPackListClick(ev);
+    });
+  }
+
+  // ---------- Entries panel ----------
+  let editingIndex = -1;
+
+  function describeTrace(t) {
+    const band = bandForAdj(t.adj);
+    const ore = t.ore === "Unknown" ? "Unknown" : titleCase(t.ore);
+    const parts = [t.strengthWord || "?", ore];
+    if (band) parts.push(qlRangeText(band));
+    parts.push(dirLabel(t.dir));
+    const ring = strengthToRing(t.strengthWord);
+    parts.push(ring.min > 1 ? `${ring.min}–${ring.max}` : `≤${ring.max}`);
+    return parts.join(" ");
+  }
+
+  function dirLabel(dir) {
+    if (!dir) return "?";
+    const ns = dir.dy > 0 ? "N" : dir.dy < 0 ? "S" : "";
+    const ew = dir.dx > 0 ? "E" : dir.dx < 0 ? "W" : "";
+    return ns + ew || "?";
+  }
+
+  function entryViewHtml(e, i) {
+    const p = e.parsed || { traces: [] };
+    const mine = p.mineOre
+      ? `${escapeHtml(titleCase(p.mineOre))}${Number.isFinite(p.mineMaxQl) ? `, max QL ${p.mineMaxQl}` : ""}`
+      : "—";
+    const traces = p.traces.length
+      ? p.traces.map(t => `<div class="${t.dropped ? "dropped" : ""}">• ${escapeHtml(describeTrace(t))}${t.dropped ? " (dropped)" : ""}</div>`).join("")
+      : "<div>• none</div>";
+    const last = state.entries.length - 1;
+    return `
+      <div class="entryHead">
+        <div class="entryTitle">#${i + 1} at (${e.x}, ${e.y})${e.time ? ` · ${escapeHtml(e.time)}` : ""}</div>
+        <div class="entryToggles">
+          ${state.settings.absence ? `<label class="entryToggle" title="Treat ores missing from this paste as out of range"><input type="checkbox" data-action="absence" ${e.absence !== false ? "checked" : ""} /> no-trace</label>` : ""}
+          <label class="entryToggle"><input type="checkbox" data-action="toggle" ${isEntryEnabled(e) ? "checked" : ""} /> use</label>
+        </div>
+      </div>
+      <div class="entryMeta">
+        <div><b>Step:</b> dx ${e.dx}, dy ${e.dy}</div>
+        <div><b>Mine:</b> ${mine}</div>
+        <div><b>Traces (${p.traces.length}):</b></div>
+        ${traces}
+      </div>
+      <div class="entryActions">
+        <button type="button" class="btn small" data-action="up" ${i === 0 ? "disabled" : ""}>↑</button>
+        <button type="button" class="btn small" data-action="down" ${i === last ? "disabled" : ""}>↓</button>
+        <button type="button" class="btn small" data-action="edit">Edit</button>
+        ${p.traces.some(t => t.dropped) ? `<button type="button" class="btn small" data-action="restore">Restore dropped</button>` : ""}
+        <button type="button" class="btn small danger" data-action="delete">Delete</button>
+      </div>
+    `;
+  }
+
+  function entryEditHtml(e, i) {
+    return `
+      <div class="entryHead">
+        <div class="entryTitle">Editing #${i + 1}</div>
+      </div>
+      <div class="grid2">
+        <div class="field"><label>E/W (x)</label><input type="number" data-field="dx" value="${e.dx}" /></div>
+        <div class="field"><label>N/S (y)</label><input type="number" data-field="dy" value="${e.dy}" /></div>
+      </div>
+      <div class="field">
+        <label>Pasted text</label>
+        <textarea data-field="raw" rows="6" spellcheck="false">${escapeHtml(e.raw || "")}</textarea>
+      </div>
+      <div class="entryActions">
+        <button type="button" class="btn small primary" data-action="save">Save</button>
+        <button type="button" class="btn small" data-action="cancel">Cancel</button>
+      </div>
+    `;
+  }
+
+  function renderEntriesList() {
+    if (!entriesListEl) return;
+    if (state.entries.length === 0) {
+      entriesListEl.innerHTML = `<div class="microhint">No entries yet.</div>`;
+      return;
+    }
+    entriesListEl.innerHTML = state.entries.map((e, i) => `
+      <div class="entry${isEntryEnabled(e) ? "" : " disabled"}" data-index="${i}">
+        ${i === editingIndex ? entryEditHtml(e, i) : entryViewHtml(e, i)}
+      </div>
+    `).join("");
+  }
+
+  function moveEntry(i, delta) {
+    const j = i + delta;
+    if (j < 0 || j >= state.entries.length) return;
+    const tmp = state.entries[i];
+    state.entries[i] = state.entries[j];
+    state.entries[j] = tmp;
+  }
+
+  function saveEntryEdit(card, i) {
+    const e = state.entries[i];
+    const raw = (card.querySelector('[data-field="raw"]').value || "").trim();
+    const parsed = parseLogBlock(raw);
+    if (!parsed) {
+      alert("No usable session found in the edited text. It must include a start line such as 'You start to analyse the shard.'");
+      return false;
+    }
+    e.dx = parseIntSafe(card.querySelector('[data-field="dx"]').value, 0);
+    e.dy = parseIntSafe(card.querySelector('[data-field="dy"]').value, 0);
+    e.raw = raw;
+    e.parsed = parsed;
+    return true;
+  }
+
+  function onEntriesAction(ev) {
+    const target = ev.target.closest("[data-action]");
+    if (!target) return;
+    const card = target.closest("[data-index]");
+    if (!card) return;
+    const i = parseIntSafe(card.dataset.index, -1);
+    if (i < 0 || i >= state.entries.length) return;
+
+    let label;
+    switch (target.dataset.action) {
+      case "toggle":
+        state.entries[i].enabled = target.checked;
+        label = `${target.checked ? "Enable" : "Disable"} entry #${i + 1}`;
+        break;
+      case "absence":
+        state.entries[i].absence = target.checked;
+        label = `${target.checked ? "Use" : "Ignore"} absence in entry #${i + 1}`;
+        break;
+      case "up":
+      case "down":
+        moveEntry(i, target.dataset.action === "up" ? -1 : 1);
+        editingIndex = -1;
+        label = `Move entry #${i + 1} ${target.dataset.action}`;
+        break;
+      case "restore":
+        for (const t of state.entries[i].parsed.traces) delete t.dropped;
+        label = `Restore observations in entry #${i + 1}`;
+        break;
+      case "edit":
+        editingIndex = i;
+        renderEntriesList();
+        return;
+      case "cancel":
+        editingIndex = -1;
+        renderEntriesList();
+        return;
+      case "save":
+        if (!saveEntryEdit(card, i)) return;
+        editingIndex = -1;
+        label = `Edit entry #${i + 1}`;
+        break;
+      case "delete":
+        if (!confirm(`Delete entry #${i + 1}? Later entries keep their own steps and shift with it.`)) return;
+        state.entries.splice(i, 1);
+        editingIndex = -1;
+        label = `Delete entry #${i + 1}`;
+        break;
+      default:
+        return;
+    }
+
+    recomputePositions(state.entries);
+    saveState(label);
+    render();
+  }
+
+  if (entriesListEl) {
+    entriesListEl.addEventListener("click", ev => {
+      if (ev.target.matches('input[type="checkbox"]')) return; // handled on change
+      onEntriesAction(ev);
+    });
+    entriesListEl.addEventListener("change", ev => {
+      if (ev.target.matches('input[type="checkbox"][data-action]')) onEntriesAction(ev);
+    });
+  }
+
   if (addBtn) addBtn.addEventListener("click", addEntry);
-  if (undoBtn) undoBtn.addEventListener("click", undoEntry);
+  if (undoBtn) undoBtn.addEventListener("click", () => undoEdit());
+  if (undoHistoryBtn) undoHistoryBtn.addEventListener("click", () => undoEdit());
+  if (redoHistoryBtn) redoHistoryBtn.addEventListener("click", () => redoEdit());
+  if (historyListEl) historyListEl.addEventListener("click", onHistoryClick);
+  if (timelinePanelEl) {
+    timelinePanelEl.addEventListener("toggle", () => {
+      updateTimeline();
+      drawMap();
+      renderTimeline();
+    });
+    timelineRangeEl.addEventListener("input", () => {
+      stopTimelinePlay();
+      setTimelineStep(parseIntSafe(timelineRangeEl.value, 0));
+    });
+    timelinePrevBtn.addEventListener("click", () => { stopTimelinePlay(); setTimelineStep(timelineStep - 1); });
+    timelineNextBtn.addEventListener("click", () => { stopTimelinePlay(); setTimelineStep(timelineStep + 1); });
+    timelinePlayBtn.addEventListener("click", toggleTimelinePlay);
+    timelineChartEl.addEventListener("click", ev => { stopTimelinePlay(); onTimelineChartClick(ev); });
+  }
+  document.addEventListener("keydown", onHistoryKey);
   if (resetBtn) resetBtn.addEventListener("click", resetAll);
   if (downloadBtn) downloadBtn.addEventListener("click", downloadPNG);
+  if (svgBtn) svgBtn.addEventListener("click", downloadSVG);
+  if (veinsCsvBtn) veinsCsvBtn.addEventListener("click", exportVeinsCSV);
+  if (veinsJsonBtn) veinsJsonBtn.addEventListener("click", exportVeinsJSON);
+  if (reportBtn) reportBtn.addEventListener("click", openReport);
+  function syncSolverControls() {
+    if (solverModeEl) solverModeEl.value = state.settings.solver;
+    if (heatTopNEl) {
+      heatTopNEl.value = state.settings.heatTopN;
+      heatTopNEl.disabled = state.settings.solver !== "heatmap";
+    }
+    if (useAbsenceEl) useAbsenceEl.checked = !!state.settings.absence;
+  }
+
+  if (useAbsenceEl) useAbsenceEl.addEventListener("change", () => {
+    state.settings.absence = useAbsenceEl.checked;
+    saveState(useAbsenceEl.checked ? "Use “no trace” evidence" : "Ignore “no trace” evidence");
+    render();
+  });
+
+  if (solverModeEl) solverModeEl.addEventListener("change", () => {
+    state.settings.solver = solverModeEl.value === "heatmap" ? "heatmap" : "strict";
+    syncSolverControls();
+    saveState(state.settings.solver === "heatmap" ? "Switch to heatmap solver" : "Switch to strict solver");
+    render();
+  });
+  if (heatTopNEl) heatTopNEl.addEventListener("change", () => {
+    state.settings.heatTopN = clamp(parseIntSafe(heatTopNEl.value, 5), 1, 50);
+    syncSolverControls();
+    saveState("Change heatmap top tiles");
+    render();
+  });
+  if (layerSelectEl) layerSelectEl.addEventListener("change", () => {
+    state.view.layer = layerSelectEl.value;
+    saveState();
+    render();
+  });
 
+  loadProjects();
   loadState();
+  startSolveWorker();
+  syncSolverControls();
+  renderDetectionPanel();
+  renderBandsPanel();
+  renderPacksPanel();
+  renderPaintSelect();
+  renderProjectBar();
+  renderParsePreview();
   render();
+  loadFromUrlHash();
   })();
 });
@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+/* Wurm Online – Advanced Shard Analyzer: command line (shard-cli.js)
+   Usage: node shard-cli.js <event-log.txt> [--steps "0,0 3,0 0,4"] [--solver strict|heatmap] [--top N]
+                            [--absence] [--packs packs.json] [--json]
+   --steps gives one E/W,N/S step per analyse session in the log, in order (East and North are positive).
+   --packs reads a JSON array of message packs in the format the page's Message packs panel accepts.
+*/
+
+const fs = require("fs");
+const core = require("./shard-core.js");
+
+const USAGE = 'usage: node shard-cli.js <event-log.txt> [--steps "dx,dy dx,dy ..."] [--solver strict|heatmap] [--top N] [--absence] [--packs file.json] [--json]';
+
+function fail(message) {
+  process.stderr.write(`${message}\n`);
+  process.exit(1);
+}
+
+function parseArgs(argv) {
+  const opts = { file: null, steps: null, settings: {}, packs: [], json: false };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) fail(`${a} needs a value\n${USAGE}`);
+      return argv[++i];
+    };
+    if (a === "--steps") opts.steps = parseSteps(value());
+    else if (a === "--solver") {
+      const solver = value();
+      if (solver !== "strict" && solver !== "heatmap") fail(`unknown solver “${solver}” (strict or heatmap)`);
+      opts.settings.solver = solver;
+    } else if (a === "--top") opts.settings.heatTopN = core.parseIntSafe(value(), 5);
+    else if (a === "--absence") opts.settings.absence = true;
+    else if (a === "--packs") opts.packs = readPacks(value());
+    else if (a === "--json") opts.json = true;
+    else if (a === "-h" || a === "--help") { process.stdout.write(`${USAGE}\n`); process.exit(0); }
+    else if (a.startsWith("--")) fail(`unknown option ${a}\n${USAGE}`);
+    else if (opts.file) fail(`only one log file, got “${opts.file}” and “${a}”`);
+    else opts.file = a;
+  }
+  if (!opts.file) fail(USAGE);
+  return opts;
+}
+
+// "0,0 3,0;-1,2" => [[0, 0], [3, 0], [-1, 2]]
+function parseSteps(text) {
+  return text.split(/[\s;]+/).filter(Boolean).map(pair => {
+    const m = pair.match(/^(-?\d+),(-?\d+)$/);
+    if (!m) fail(`bad step “${pair}”, expected dx,dy`);
+    return [parseInt(m[1], 10), parseInt(m[2], 10)];
+  });
+}
+
+function readPacks(file) {
+  let list;
+  try { list = JSON.parse(fs.readFileSync(file, "utf8")); }
+  catch (e) { fail(`cannot read packs from ${file}: ${e.message}`); }
+  return (Array.isArray(list) ? list : [list]).map(raw => {
+    try { return core.compilePack(raw); }
+    catch (e) { return fail(`pack “${raw && raw.name}” in ${file}: ${e.message}`); }
+  });
+}
+
+function veinName(v) {
+  const ore = v.ore === "Unknown" ? "Unknown" : core.titleCase(v.ore);
+  return v.qlDisplay ? `${ore} ${v.qlDisplay}` : ore;
+}
+
+function tilesOf(v) {
+  return [...v.feasible].map(core.parseCoordKey).sort((a, b) => b.y - a.y || a.x - b.x);
+}
+
+function conflictText(c) {
+  const where = c.markIndex !== undefined ? `dig mark ${c.markIndex + 1}` : `entry ${c.entryIndex + 1}`;
+  const extra = c.shift ? ` (step off by ${c.shift.dx}, ${c.shift.dy}?)` : c.lockedCoord ? ` (locked at ${c.lockedCoord.x}, ${c.lockedCoord.y})` : "";
+  return `${where}: ${veinName(c)} — ${c.cause}${extra}`;
+}
+
+function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  let text;
+  try { text = fs.readFileSync(opts.file, "utf8"); }
+  catch (e) { fail(`cannot read ${opts.file}: ${e.message}`); }
+
+  const sessions = core.parse(text, [core.ENGLISH_PACK, ...opts.packs]);
+  if (sessions.length === 0) fail(`no analyse sessions found in ${opts.file}`);
+  const steps = opts.steps || (sessions.length === 1 ? [[0, 0]] : null);
+  if (!steps) fail(`${sessions.length} sessions found; give one step each with --steps`);
+  if (steps.length !== sessions.length) fail(`${sessions.length} sessions found but ${steps.length} steps given`);
+
+  const entries = sessions.map((s, i) => ({ dx: steps[i][0], dy: steps[i][1], time: s.time, parsed: s.parsed }));
+  const { veins, conflicts } = core.solve(entries, opts.settings);
+
+  if (opts.json) {
+    const out = {
+      sessions: entries.map(e => ({ time: e.time, dx: e.dx, dy: e.dy, ...e.parsed })),
+      veins: veins.map(v => ({
+        id: v.id,
+        ore: v.ore,
+        quality: v.qlDisplay,
+        locked: v.locked,
+        lockedAt: v.lockedCoord,
+        tiles: tilesOf(v).map(t => (v.heat ? { ...t, score: v.heat.get(core.coordKey(t.x, t.y)) } : t)),
+        ...(v.top ? { top: v.top.map(core.parseCoordKey) } : {})
+      })),
+      conflicts
+    };
+    process.stdout.write(`${JSON.stringify(out, null, 2)}\n`);
+    return;
+  }
+
+  const lines = [`${sessions.length} session(s), ${opts.settings.solver === "heatmap" ? "likelihood heatmap" : "strict intersection"}`];
+  for (const v of veins) {
+    if (v.locked) {
+      lines.push(`${veinName(v)} — locked at ${v.lockedCoord.x}, ${v.lockedCoord.y}`);
+      continue;
+    }
+    lines.push(`${veinName(v)} — ${v.feasible.size} tiles${v.top ? `, best ${v.top.join(" ")}` : ""}`);
+    const tiles = tilesOf(v).map(t => `${t.x},${t.y}`);
+    for (let i = 0; i < tiles.length; i += 12) lines.push(`  ${tiles.slice(i, i + 12).join(" ")}`);
+  }
+  if (conflicts.length) {
+    lines.push("Conflicts:");
+    for (const c of conflicts) lines.push(`  ${conflictText(c)}`);
+  }
+  process.stdout.write(`${lines.join("\n")}\n`);
+}
+
+main();
@@ -0,0 +1,1538 @@
+/* Wurm Online – Advanced Shard Analyzer: parsing, geometry and solving (shard-core.js)
+   No DOM and no storage, so the page, the CLI and the tests share one implementation.
+   Loaded as a plain <script> it defines window.ShardCore; under Node it is a CommonJS module.
+
+   Stable API:
+   - parse(text, packs?) => [{ time, raw, parsed: { mineOre, mineMaxQl, traces, surface? } }], one per analyse session
+   - solve(entries, settings?, { marks?, terrain? }?) => { veins, conflicts }
+     entries: [{ dx, dy, parsed, enabled?, absence? }] (each step is counted from the previous analyse)
+     veins:   [{ id, ore, qlDisplay, qlRange, qlColor, feasible, locked, lockedCoord, heat?, top? }]
+     feasible is a tile set (Set-like over "x,y" keys, plus forEachTile/hasXY); heat maps "x,y" to a score like a Map.
+   - createSolver() => { solve, replay } with the same signature, reusing work from its previous solve;
+     replay gives one solve per prefix of the entries, then one with the marks if there are any.
+   - packSolve(result) / unpackSolve(data) turn a solve result into postMessage-safe data and back.
+   - suggestSteps(veins, settings?, { from, radius, lockGoal? }?) => [{ x, y, dx, dy, left, reduction, lockChance, walk }]
+     the best spots to analyse next, simulating an analyse from every tile within radius of from.
+*/
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.ShardCore = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  // ---------- Helpers ----------
+  function clamp(n, a, b) { return Math.max(a, Math.min(b, n)); }
+  function parseIntSafe(v, fallback = 0) {
+    const n = parseInt(v, 10);
+    return Number.isFinite(n) ? n : fallback;
+  }
+  function coordKey(x, y) { return `${x},${y}`; }
+  function parseCoordKey(k) {
+    const [xs, ys] = k.split(",");
+    return { x: parseInt(xs, 10), y: parseInt(ys, 10) };
+  }
+  function setIntersect(a, b) {
+    const out = new Set();
+    for (const v of a) if (b.has(v)) out.add(v);
+    return out;
+  }
+  function titleCase(s) {
+    return s.replace(/\w\S*/g, w => w.charAt(0).toUpperCase() + w.slice(1));
+  }
+
+  // ---------- Quality ranges ----------
+  // Quality words in traces and the QL range each stands for. The Quality bands panel edits word, range and colour.
+  const DEFAULT_QUALITY_BANDS = [
+    { key: "poor",       word: "poor",       min: 1,  max: 29,  color: "#9aa0a6" },
+    { key: "acceptable", word: "acceptable", min: 30, max: 39,  color: "#d4b483" },
+    { key: "normal",     word: "normal",     min: 40, max: 59,  color: "#3ddc84" },
+    { key: "good",       word: "good",       min: 60, max: 79,  color: "#4ea1ff" },
+    { key: "very_good",  word: "very good",  min: 80, max: 94,  color: "#b36bff" },
+    { key: "utmost",     word: "utmost",     min: 95, max: 100, color: "#ffb020" }
+  ];
+  const QL_MAX = 100;
+  const NO_QL_COLOR = "#cfd8dc";
+
+  // A vein's quality is a range { min, max } (an exact mined QL has min === max), or null when unknown.
+  function cloneBands(bands) {
+    return DEFAULT_QUALITY_BANDS.map(d => {
+      const src = (Array.isArray(bands) && bands.find(b => b && b.key === d.key)) || d;
+      const min = clamp(parseIntSafe(src.min, d.min), 0, QL_MAX);
+      const word = String(src.word || "").trim().toLowerCase() || d.word;
+      const color = /^#[0-9a-f]{6}$/i.test(src.color || "") ? src.color : d.color;
+      return { key: d.key, word, min, max: clamp(parseIntSafe(src.max, d.max), min, QL_MAX), color };
+    });
+  }
+
+  function qlRangeText(range) {
+    if (!range) return "";
+    return range.min === range.max ? String(range.min) : `${range.min}-${range.max}`;
+  }
+
+  // "80-94" | "88" | "" => range | null
+  function parseQlRange(text) {
+    const m = String(text || "").match(/^\s*(\d+)\s*(?:-\s*(\d+))?\s*$/);
+    if (!m) return null;
+    const min = parseInt(m[1], 10);
+    const max = m[2] !== undefined ? parseInt(m[2], 10) : min;
+    return { min: Math.min(min, max), max: Math.max(min, max) };
+  }
+
+  // Unknown quality is compatible with anything.
+  function rangesOverlap(a, b) {
+    return !a || !b || (a.min <= b.max && b.min <= a.max);
+  }
+
+  function rangeIntersect(a, b) {
+    if (!a) return b;
+    if (!b) return a;
+    return { min: Math.max(a.min, b.min), max: Math.min(a.max, b.max) };
+  }
+
+  function bandForQl(n, bands) {
+    return bands.find(b => n >= b.min && n <= b.max) || null;
+  }
+
+  function qlColorForNumber(n, bands) {
+    if (!Number.isFinite(n)) return NO_QL_COLOR;
+    const band = bandForQl(n, bands);
+    return band ? band.color : NO_QL_COLOR;
+  }
+
+  function qlColorForRange(range, bands) {
+    if (!range) return NO_QL_COLOR;
+    return qlColorForNumber(Math.round((range.min + range.max) / 2), bands);
+  }
+
+  // Longest word first, so "very good" is not read as "good".
+  function bandForAdj(adj, bands) {
+    if (!adj) return null;
+    const a = adj.toLowerCase();
+    return bands.slice().sort((x, y) => y.word.length - x.word.length).find(b => a.includes(b.word)) || null;
+  }
+
+  // ---------- Ore catalogue ----------
+  // Canonical ore names (as stored in entries) and the other spellings that mean the same vein.
+  // Marble, slate and sandstone veins are mined as shards; plain "stone shards" is no vein at all.
+  const ORE_CATALOGUE = [
+    { ore: "iron",         aliases: ["iron ore"] },
+    { ore: "copper",       aliases: ["copper ore"] },
+    { ore: "tin",          aliases: ["tin ore"] },
+    { ore: "zinc",         aliases: ["zinc ore"] },
+    { ore: "lead",         aliases: ["lead ore"] },
+    { ore: "silver",       aliases: ["silver ore"] },
+    { ore: "gold",         aliases: ["gold ore"] },
+    { ore: "adamantine",   aliases: ["adamantine ore", "adamant", "adamantite"] },
+    { ore: "glimmersteel", aliases: ["glimmersteel ore", "glimmer steel", "glimmer"] },
+    { ore: "marble",       aliases: ["marble shards", "marble shard"] },
+    { ore: "slate",        aliases: ["slate shards", "slate shard"] },
+    { ore: "sandstone",    aliases: ["sandstone shards", "sandstone shard"] },
+    { ore: "rock salt",    aliases: ["rocksalt", "salt"] },
+    { ore: "coal",         aliases: ["coal seam"] }
+  ];
+
+  // [{ alias, ore }], longest first so "rock salt" wins over "salt".
+  const ORE_ALIASES = ORE_CATALOGUE
+    .flatMap(c => [c.ore, ...c.aliases].map(alias => ({ alias, ore: c.ore })))
+    .sort((a, b) => b.alias.length - a.alias.length);
+
+  function cleanWords(s) {
+    return s.toLowerCase().replace(/[^\p{L}\s]/gu, " ").replace(/\s+/g, " ").trim();
+  }
+
+  function catalogueOre(text) {
+    const t = ` ${cleanWords(text)} `;
+    const hit = ORE_ALIASES.find(a => t.includes(` ${a.alias} `));
+    return hit ? hit.ore : null;
+  }
+
+  // Canonical ore for a mine target or trace descriptor; null for plain rock.
+  // Ores missing from the catalogue (modded servers) are kept as written, minus "ore"/"vein".
+  function oreNormalize(raw) {
+    if (!raw) return null;
+    const known = catalogueOre(raw);
+    if (known) return known;
+    let t = ` ${cleanWords(raw)} `;
+    if (/ shards? /.test(t)) return null;
+    t = t.replace(/ (ore|vein|here) /g, " ").trim();
+    return t || null;
+  }
+
+  // ---------- Direction parsing ----------
+  const DIR_MAP = {
+    "north": { dx: 0, dy: 1 },
+    "south": { dx: 0, dy: -1 },
+    "east":  { dx: 1, dy: 0 },
+    "west":  { dx: -1, dy: 0 },
+    "northeast": { dx: 1, dy: 1 },
+    "northwest": { dx: -1, dy: 1 },
+    "southeast": { dx: 1, dy: -1 },
+    "southwest": { dx: -1, dy: -1 },
+    "ne": { dx: 1, dy: 1 },
+    "nw": { dx: -1, dy: 1 },
+    "se": { dx: 1, dy: -1 },
+    "sw": { dx: -1, dy: -1 }
+  };
+
+  function parseDirectionPhrase(phraseRaw) {
+    if (!phraseRaw) return null;
+    const p = phraseRaw.toLowerCase().replace(/[().]/g, "").trim();
+    if (DIR_MAP[p]) return { type: "dir", ...DIR_MAP[p] };
+
+    const m = p.match(/(north|south|east|west)\s+of\s+(north|south|east|west)/i);
+    if (m) {
+      const v1 = DIR_MAP[m[1].toLowerCase()];
+      const v2 = DIR_MAP[m[2].toLowerCase()];
+      const dx = clamp(v1.dx + v2.dx, -1, 1);
+      const dy = clamp(v1.dy + v2.dy, -1, 1);
+      return { type: "dir", dx, dy };
+    }
+    return null;
+  }
+
+  // ---------- Detection model ----------
+  // Each strength word maps to a distance ring (min..max tiles). Defaults resemble WurmNode’s
+  // output scale; the Detection model panel edits them and picks the direction geometry.
+  const DEFAULT_DETECTION = {
+    geometry: "classic",
+    rings: {
+      slight:     { min: 1, max: 6 },
+      faint:      { min: 1, max: 8 },
+      minuscule:  { min: 1, max: 8 },
+      vague:      { min: 1, max: 10 },
+      indistinct: { min: 1, max: 12 }
+    }
+  };
+
+  const GEOMETRY_PROFILES = {
+    classic: "Classic: strips + triangles",
+    octant: "Strict octant cones",
+    chebyshev: "Chebyshev ring"
+  };
+
+  function cloneDetection(model) {
+    const rings = {};
+    for (const [w, r] of Object.entries(DEFAULT_DETECTION.rings)) {
+      const src = (model && model.rings && model.rings[w]) || r;
+      const max = clamp(parseIntSafe(src.max, r.max), 1, 64);
+      rings[w] = { min: clamp(parseIntSafe(src.min, r.min), 1, max), max };
+    }
+    const geometry = model && GEOMETRY_PROFILES[model.geometry] ? model.geometry : DEFAULT_DETECTION.geometry;
+    return { geometry, rings };
+  }
+
+  function strengthToRing(strengthWord, detection) {
+    const rings = detection.rings;
+    if (!strengthWord) return rings.slight;
+    const s = strengthWord.toLowerCase();
+    for (const w of Object.keys(rings)) if (s.includes(w)) return rings[w];
+    return rings.slight;
+  }
+
+  function strengthToDistance(strengthWord, detection) {
+    return strengthToRing(strengthWord, detection).max;
+  }
+
+  // ---------- WurmNode-like candidate regions (FILLED, not perimeter-only) ----------
+  function matchesCardinal(dx, dy, dir) {
+    if (dir.dx === 1 && dir.dy === 0) return dx > 0;  // east half-plane
+    if (dir.dx === -1 && dir.dy === 0) return dx < 0; // west
+    if (dir.dx === 0 && dir.dy === 1) return dy > 0;  // north
+    if (dir.dx === 0 && dir.dy === -1) return dy < 0; // south
+    return false;
+  }
+
+  function matchesDiagonal(dx, dy, dir) {
+    if (dir.dx === 1 && dir.dy === 1) return dx > 0 && dy > 0;   // NE
+    if (dir.dx === -1 && dir.dy === 1) return dx < 0 && dy > 0;  // NW
+    if (dir.dx === 1 && dir.dy === -1) return dx > 0 && dy < 0;  // SE
+    if (dir.dx === -1 && dir.dy === -1) return dx < 0 && dy < 0; // SW
+    return false;
+  }
+
+  // 45° sectors centred on each compass direction (0 = east, counter-clockwise);
+  // lattice points never land exactly on a boundary.
+  function sectorIndex(dx, dy) {
+    return (Math.round(Math.atan2(dy, dx) / (Math.PI / 4)) + 8) % 8;
+  }
+
+  function matchesSector(dx, dy, dir) {
+    return sectorIndex(dx, dy) === sectorIndex(dir.dx, dir.dy);
+  }
+
+  // Filled region, per geometry profile (ring = { min, max }):
+  // - classic, cardinal: rectangle out to max, with +/-max lateral spread (Chebyshev distance)
+  // - classic, diagonal: filled triangle in the quadrant using Manhattan distance |dx|+|dy|
+  // - octant: 45° cone, Euclidean distance
+  // - chebyshev: 45° cone, Chebyshev distance (square rings)
+  function inWedge(dx, dy, dir, ring, geometry) {
+    const cheb = Math.max(Math.abs(dx), Math.abs(dy));
+    if (geometry === "octant") {
+      const r = Math.round(Math.hypot(dx, dy));
+      return r >= ring.min && r <= ring.max && matchesSector(dx, dy, dir);
+    }
+    if (geometry === "chebyshev") {
+      return cheb >= ring.min && cheb <= ring.max && matchesSector(dx, dy, dir);
+    }
+    if (dir.dx === 0 || dir.dy === 0) {
+      return cheb >= ring.min && cheb <= ring.max && matchesCardinal(dx, dy, dir);
+    }
+    const manhattan = Math.abs(dx) + Math.abs(dy);
+    return manhattan >= ring.min && manhattan <= ring.max && matchesDiagonal(dx, dy, dir);
+  }
+
+  function wedgeCandidates(source, ring, dir, geometry) {
+    const out = new Set();
+    if (!ring || ring.max < 1 || !dir) return out;
+
+    const sx = source.x, sy = source.y;
+    const d = ring.max;
+
+    for (let dx = -d; dx <= d; dx++) {
+      for (let dy = -d; dy <= d; dy++) {
+        if (dx === 0 && dy === 0) continue;
+        if (!inWedge(dx, dy, dir, ring, geometry)) continue;
+        out.add(coordKey(sx + dx, sy + dy));
+      }
+    }
+    return out;
+  }
+
+  function traceCandidates(source, t, detection) {
+    return wedgeCandidates(source, strengthToRing(t.strengthWord, detection), t.dir, detection.geometry);
+  }
+
+  // wedgeCandidates() as a tile set on `grid`, which the solvers use.
+  function wedgeTiles(grid, source, ring, dir, geometry) {
+    const out = createTileSet(grid);
+    if (!ring || ring.max < 1 || !dir) return out;
+    const d = ring.max;
+    for (let dy = -d; dy <= d; dy++) {
+      for (let dx = -d; dx <= d; dx++) {
+        if ((dx !== 0 || dy !== 0) && inWedge(dx, dy, dir, ring, geometry)) out.addXY(source.x + dx, source.y + dy);
+      }
+    }
+    return out;
+  }
+
+  // ---------- Parsing ----------
+  const STRENGTH_WORDS = ["indistinct", "vague", "minuscule", "faint", "slight"];
+
+  function extractStrengthWord(line) {
+    const s = line.toLowerCase();
+    for (const w of STRENGTH_WORDS) if (s.includes(w)) return w;
+    return null;
+  }
+
+  function parseOreAndAdjFromDescriptor(descRaw) {
+    if (!descRaw) return null;
+    const d = descRaw.toLowerCase().trim();
+
+    // “indistinct trace of something, but cannot quite make it out”
+    if (/\bsomething\b/.test(d)) {
+      return { ore: "Unknown", adj: null };
+    }
+
+    // "<word> quality" or "very <word> quality"; the word is matched to a band at solve time.
+    const qm = d.match(/\b((?:very\s+)?[a-z]+)\s+quality\b/);
+    const adj = qm ? qm[1].replace(/\s+/g, " ") : null;
+
+    const orePart = (qm ? d.replace(qm[0], "") : d).replace(/\bquality\b/g, "");
+    const ore = oreNormalize(orePart);
+    if (!ore) return null;
+    return { ore, adj };
+  }
+
+  // Start rule you asked for:
+  // - Underground: ignore until “You start to analyse...”
+  // - Surface: also accept “You start to gather fragments...”, closed by “You finish gathering fragments...”
+  const startRegex = /(you start to gather fragments of the rock\.)|(you start to analy[sz]e the (shard|ore)\.)/i;
+  const endRegex = /(you finish gathering fragments of the rock\.)|(you finish analy[sz]ing the (shard|ore)\.)/i;
+  const surfaceRegex = /gather(ing)? fragments/i;
+
+  const mineRegex = /you would mine (.+?) here\./i;
+  const maxQlRegex = /it has a max quality of (\d+)\./i;
+
+  // More permissive: any “… trace of <descriptor> (<dir>).”
+  const traceRegex = /\btrace of\s+(.+?)\s*\((.+?)\)\./i;
+
+  // ---------- Message packs ----------
+  // A pack swaps in its own regexes for other clients or mods; `words` translates what they capture
+  // (and the whole trace line, for the strength word) into the English the rest of the parser knows.
+  // Pack JSON: { name, start?, end?, mine?, maxQl?, trace?, words?: { "<their text>": "<english>" } }.
+  // Missing regexes fall back to English; mine/maxQl capture one group, trace captures descriptor and direction.
+  const PACK_REGEX_FIELDS = ["start", "end", "mine", "maxQl", "trace"];
+  const ENGLISH_PACK = {
+    name: "English",
+    start: startRegex, end: endRegex, mine: mineRegex, maxQl: maxQlRegex, trace: traceRegex,
+    words: []
+  };
+  const ENGLISH_ONLY = [ENGLISH_PACK];
+
+  function escapeRegex(s) {
+    return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  }
+
+  // Throws an Error naming the bad field.
+  function compilePack(raw) {
+    if (!raw || typeof raw !== "object") throw new Error("a pack must be a JSON object");
+    const name = String(raw.name || "").trim();
+    if (!name) throw new Error("the pack needs a name");
+    const pack = { name, words: [] };
+    for (const field of PACK_REGEX_FIELDS) {
+      if (raw[field] === undefined || raw[field] === "") { pack[field] = ENGLISH_PACK[field]; continue; }
+      try { pack[field] = new RegExp(String(raw[field]), "iu"); }
+      catch (e) { throw new Error(`“${field}” is not a valid regex: ${e.message}`); }
+    }
+    if (raw.words !== undefined && (typeof raw.words !== "object" || Array.isArray(raw.words))) {
+      throw new Error("“words” must map text to English");
+    }
+    pack.words = Object.entries(raw.words || {})
+      .filter(([from]) => from.trim())
+      .sort((a, b) => b[0].length - a[0].length)
+      .map(([from, to]) => [new RegExp(`(?<!\\p{L})${escapeRegex(from.trim().toLowerCase())}(?!\\p{L})`, "gu"), String(to)]);
+    return pack;
+  }
+
+  // => { m, pack } for the first pack whose `field` regex matches the line, or null.
+  function matchMessage(line, field, packs) {
+    for (const pack of packs) {
+      const m = line.match(pack[field]);
+      if (m) return { m, pack };
+    }
+    return null;
+  }
+
+  function translate(text, pack) {
+    let t = text.toLowerCase();
+    for (const [re, to] of pack.words) t = t.replace(re, to);
+    return t;
+  }
+
+  // Same rules as parseLogBlock, but also returns one note per non-empty line:
+  // { line, kind: "start"|"end"|"mine"|"maxql"|"trace"|"ignored", reason?, trace? }
+  // packs: compiled message packs, tried in order (English only by default).
+  function parseLogBlockDetailed(rawText, packs = ENGLISH_ONLY) {
+    const lines = rawText.split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+    const notes = [];
+
+    let started = false;
+    let finished = false;
+    let mineOre = null;
+    let mineMaxQl = null;
+    let surface = false;
+
+    const traces = [];
+
+    for (const line of lines) {
+      if (finished) {
+        notes.push({ line, kind: "ignored", reason: "after finish marker" });
+        continue;
+      }
+
+      if (!started) {
+        if (matchMessage(line, "start", packs)) {
+          started = true;
+          surface = surfaceRegex.test(line);
+          notes.push({ line, kind: "start", surface });
+        } else {
+          notes.push({ line, kind: "ignored", reason: "before start marker" });
+        }
+        continue;
+      }
+
+      if (matchMessage(line, "end", packs)) {
+        finished = true;
+        notes.push({ line, kind: "end" });
+        continue;
+      }
+
+      // Mining context (used ONLY if it’s actually ore, not shards)
+      const mine = matchMessage(line, "mine", packs);
+      if (mine) {
+        const target = mine.m[1] || "";
+        const ore = oreNormalize(translate(target, mine.pack));
+        if (ore) {
+          mineOre = ore;
+          notes.push({ line, kind: "mine", ore });
+        } else {
+          notes.push({ line, kind: "ignored", reason: `mine target “${target}” is not ore` });
+        }
+        continue;
+      }
+
+      const ql = matchMessage(line, "maxQl", packs);
+      if (ql) {
+        mineMaxQl = parseIntSafe(ql.m[1], null);
+        notes.push({ line, kind: "maxql", ql: mineMaxQl });
+        continue;
+      }
+
+      const found = matchMessage(line, "trace", packs);
+      if (!found) {
+        notes.push({ line, kind: "ignored", reason: "no known message" });
+        continue;
+      }
+
+      const mTrace = found.m;
+      const strength = extractStrengthWord(translate(line, found.pack));
+      const descriptor = translate((mTrace[1] || "").trim(), found.pack);
+      const dirPhrase = translate((mTrace[2] || "").trim(), found.pack);
+
+      const dir = parseDirectionPhrase(dirPhrase);
+      if (!dir) {
+        notes.push({ line, kind: "ignored", reason: `direction “${dirPhrase}” not recognised` });
+        continue;
+      }
+
+      const parsed = parseOreAndAdjFromDescriptor(descriptor);
+      if (!parsed) {
+        notes.push({ line, kind: "ignored", reason: `ore not recognised in “${descriptor}”` });
+        continue;
+      }
+
+      const trace = {
+        ore: parsed.ore || "Unknown",
+        adj: parsed.adj,
+        strengthWord: strength,
+        dir
+      };
+      traces.push(trace);
+      notes.push({ line, kind: "trace", trace });
+    }
+
+    return { result: started ? { mineOre, mineMaxQl, traces, ...(surface ? { surface } : {}) } : null, notes };
+  }
+
+  function parseLogBlock(rawText, packs = ENGLISH_ONLY) {
+    return parseLogBlockDetailed(rawText, packs).result;
+  }
+
+  const timestampRegex = /^\[(\d{1,2}:\d{2}:\d{2})\]/;
+
+  // Splits a whole event log into start..finish blocks, each parsed on its own.
+  // A start line without a finish is closed by the next start line (or the end of the text).
+  // Returns { sessions: [{ raw, time, result, notes }], notes } where notes covers every line in order.
+  function parseLogSessions(rawText, packs = ENGLISH_ONLY) {
+    const lines = rawText.split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+    const sessions = [];
+    const notes = [];
+    let open = null;
+
+    const close = () => {
+      if (!open) return;
+      const raw = open.join("\n");
+      const { result, notes: sessionNotes } = parseLogBlockDetailed(raw, packs);
+      const m = open[0].match(timestampRegex);
+      sessions.push({ raw, time: m ? m[1] : null, result, notes: sessionNotes });
+      notes.push(...sessionNotes);
+      open = null;
+    };
+
+    for (const line of lines) {
+      if (matchMessage(line, "start", packs)) {
+        close();
+        open = [line];
+        continue;
+      }
+      if (open) {
+        open.push(line);
+        if (matchMessage(line, "end", packs)) close();
+        continue;
+      }
+      notes.push({ line, kind: "ignored", reason: sessions.length ? "between sessions" : "before start marker" });
+    }
+    close();
+
+    return { sessions, notes };
+  }
+
+  function parse(text, packs = ENGLISH_ONLY) {
+    return parseLogSessions(text, packs).sessions
+      .filter(s => s.result)
+      .map(s => ({ time: s.time, raw: s.raw, parsed: s.result }));
+  }
+
+  // ---------- Entries ----------
+  function isEntryEnabled(entry) { return entry.enabled !== false; }
+
+  // Positions are cumulative deltas, so any edit/reorder/delete must re-walk the list.
+  // Disabled entries still count as steps: excluding one from the solve does not move you.
+  function recomputePositions(entries) {
+    let x = 0, y = 0;
+    for (const e of entries) {
+      x += e.dx;
+      y += e.dy;
+      e.x = x;
+      e.y = y;
+    }
+  }
+
+  // ---------- Tile grids ----------
+  // A solve works inside one fixed rectangle of tiles, so its tile sets are bitsets with a shared layout
+  // that combine word by word. The rectangle snaps to GRID_BLOCK tiles, so it stays put (and cached
+  // results stay valid) while steps are added nearby.
+  const GRID_BLOCK = 32;
+
+  function createGrid(x0, y0, w, h) {
+    return { x0, y0, w, h, words: Math.ceil((w * h) / 32) };
+  }
+
+  // Covers every point plus `pad` tiles around it.
+  function gridAround(points, pad) {
+    let minX = 0, minY = 0, maxX = 0, maxY = 0;
+    for (const p of points) {
+      minX = Math.min(minX, p.x);
+      minY = Math.min(minY, p.y);
+      maxX = Math.max(maxX, p.x);
+      maxY = Math.max(maxY, p.y);
+    }
+    const snap = n => Math.floor(n / GRID_BLOCK) * GRID_BLOCK;
+    const x0 = snap(minX - pad), y0 = snap(minY - pad);
+    return createGrid(x0, y0, snap(maxX + pad) + GRID_BLOCK - x0, snap(maxY + pad) + GRID_BLOCK - y0);
+  }
+
+  function popcount(n) {
+    n -= (n >>> 1) & 0x55555555;
+    n = (n & 0x33333333) + ((n >>> 2) & 0x33333333);
+    return (((n + (n >>> 4)) & 0x0f0f0f0f) * 0x01010101) >>> 24;
+  }
+
+  function gridIndex(grid, x, y) {
+    const cx = x - grid.x0, cy = y - grid.y0;
+    return cx >= 0 && cy >= 0 && cx < grid.w && cy < grid.h ? cy * grid.w + cx : -1;
+  }
+
+  function gridKeyIndex(grid, k) {
+    const c = parseCoordKey(k);
+    return gridIndex(grid, c.x, c.y);
+  }
+
+  // A set of tiles on `grid`. It answers the Set calls callers used on "x,y" key sets (has, add, delete,
+  // size, iteration over keys) and adds *XY variants plus set algebra against tiles on the same grid.
+  // Tiles outside the grid are never members; adding one is a no-op. Words outside [lo, hi) are all zero.
+  const TILE_SET_METHODS = {
+    get size() {
+      if (this.count < 0) {
+        let n = 0;
+        for (let w = this.lo; w < this.hi; w++) n += popcount(this.bits[w]);
+        this.count = n;
+      }
+      return this.count;
+    },
+    hasIndex(i) { return i >= 0 && (this.bits[i >>> 5] & (1 << (i & 31))) !== 0; },
+    setIndex(i, on) {
+      if (i < 0 || this.hasIndex(i) === on) return false;
+      const w = i >>> 5;
+      this.bits[w] ^= 1 << (i & 31);
+      this.lo = Math.min(this.lo, w);
+      this.hi = Math.max(this.hi, w + 1);
+      this.count = -1;
+      return true;
+    },
+    has(k) { return this.hasIndex(gridKeyIndex(this.grid, k)); },
+    hasXY(x, y) { return this.hasIndex(gridIndex(this.grid, x, y)); },
+    add(k) { this.setIndex(gridKeyIndex(this.grid, k), true); return this; },
+    addXY(x, y) { this.setIndex(gridIndex(this.grid, x, y), true); return this; },
+    delete(k) { return this.setIndex(gridKeyIndex(this.grid, k), false); },
+    deleteXY(x, y) { return this.setIndex(gridIndex(this.grid, x, y), false); },
+    forEachIndex(fn) {
+      for (let w = this.lo; w < this.hi; w++) {
+        for (let word = this.bits[w]; word; word &= word - 1) fn(w * 32 + 31 - Math.clz32(word & -word));
+      }
+    },
+    forEachTile(fn) {
+      const { x0, y0, w } = this.grid;
+      this.forEachIndex(i => fn(x0 + (i % w), y0 + Math.floor(i / w)));
+    },
+    first() {
+      let out = null;
+      this.forEachTile((x, y) => { if (!out) out = { x, y }; });
+      return out;
+    },
+    keys() {
+      const out = [];
+      this.forEachTile((x, y) => out.push(coordKey(x, y)));
+      return out[Symbol.iterator]();
+    },
+    [Symbol.iterator]() { return this.keys(); },
+    clone() { return createTileSet(this.grid, this.bits.slice(), this.lo, this.hi); },
+    and(other) {
+      const lo = Math.max(this.lo, other.lo), hi = Math.min(this.hi, other.hi);
+      const out = new Uint32Array(this.bits.length);
+      for (let w = lo; w < hi; w++) out[w] = this.bits[w] & other.bits[w];
+      return createTileSet(this.grid, out, lo, Math.max(lo, hi));
+    },
+    andNot(other) {
+      const out = this.bits.slice();
+      for (let w = Math.max(this.lo, other.lo); w < Math.min(this.hi, other.hi); w++) out[w] &= ~other.bits[w];
+      return createTileSet(this.grid, out, this.lo, this.hi);
+    },
+    or(other) {
+      if (other.lo >= other.hi) return this.clone();
+      if (this.lo >= this.hi) return other.clone();
+      const out = this.bits.slice();
+      for (let w = other.lo; w < other.hi; w++) out[w] |= other.bits[w];
+      return createTileSet(this.grid, out, Math.min(this.lo, other.lo), Math.max(this.hi, other.hi));
+    },
+    intersects(other) {
+      for (let w = Math.max(this.lo, other.lo); w < Math.min(this.hi, other.hi); w++) if (this.bits[w] & other.bits[w]) return true;
+      return false;
+    },
+    shifted(dx, dy) {
+      const out = createTileSet(this.grid);
+      this.forEachTile((x, y) => out.addXY(x + dx, y + dy));
+      return out;
+    },
+    // Equal sets give equal signatures (FNV-1a over the bits); unequal ones almost never do.
+    signature() {
+      let h = 0x811c9dc5;
+      for (let w = this.lo; w < this.hi; w++) {
+        if (this.bits[w] === 0) continue;
+        h = Math.imul(h ^ w, 0x01000193);
+        h = Math.imul(h ^ this.bits[w], 0x01000193);
+      }
+      return `${this.size}:${h >>> 0}`;
+    }
+  };
+
+  // Without bits the set starts empty; bits without bounds are scanned in full.
+  function createTileSet(grid, bits, lo, hi) {
+    if (!bits) {
+      bits = new Uint32Array(grid.words);
+      lo = bits.length;
+      hi = 0;
+    } else if (lo === undefined) {
+      lo = 0;
+      hi = bits.length;
+    }
+    const set = Object.create(TILE_SET_METHODS);
+    set.grid = grid;
+    set.bits = bits;
+    set.lo = lo;
+    set.hi = hi;
+    set.count = -1;
+    return set;
+  }
+
+  function tilesFromKeys(grid, keys) {
+    const out = createTileSet(grid);
+    for (const k of keys) out.add(k);
+    return out;
+  }
+
+  function singleTile(grid, x, y) {
+    return createTileSet(grid).addXY(x, y);
+  }
+
+  // Heatmap scores on `grid`: tiles scoring above 0 are members. Iterates as [key, score] like a Map.
+  const TILE_SCORES_METHODS = {
+    get size() {
+      let n = 0;
+      for (let i = 0; i < this.values.length; i++) if (this.values[i] > 0) n++;
+      return n;
+    },
+    valueAt(i) { return i >= 0 && this.values[i] > 0 ? this.values[i] : undefined; },
+    get(k) { return this.valueAt(gridKeyIndex(this.grid, k)); },
+    getXY(x, y) { return this.valueAt(gridIndex(this.grid, x, y)); },
+    has(k) { return this.get(k) !== undefined; },
+    hasXY(x, y) { return this.getXY(x, y) !== undefined; },
+    setXY(x, y, score) {
+      const i = gridIndex(this.grid, x, y);
+      if (i >= 0) this.values[i] = score;
+      return this;
+    },
+    delete(k) {
+      const c = parseCoordKey(k);
+      return this.deleteXY(c.x, c.y);
+    },
+    deleteXY(x, y) {
+      if (!this.hasXY(x, y)) return false;
+      this.values[gridIndex(this.grid, x, y)] = 0;
+      return true;
+    },
+    forEachTile(fn) {
+      const { x0, y0, w } = this.grid;
+      for (let i = 0; i < this.values.length; i++) {
+        if (this.values[i] > 0) fn(x0 + (i % w), y0 + Math.floor(i / w), this.values[i]);
+      }
+    },
+    entries() {
+      const out = [];
+      this.forEachTile((x, y, score) => out.push([coordKey(x, y), score]));
+      return out[Symbol.iterator]();
+    },
+    [Symbol.iterator]() { return this.entries(); },
+    tiles() {
+      const out = createTileSet(this.grid);
+      this.forEachTile((x, y) => out.addXY(x, y));
+      return out;
+    }
+  };
+
+  function createTileScores(grid, values = new Float64Array(grid.w * grid.h)) {
+    const scores = Object.create(TILE_SCORES_METHODS);
+    scores.grid = grid;
+    scores.values = values;
+    return scores;
+  }
+
+  // ---------- Terrain ----------
+  // Painted tile types: terrain = { "x,y": type }. noVein tiles are dug out, so no vein can be there;
+  // open tiles cost nothing to cross in the tunnel planner and blocked ones cannot be dug through.
+  const TERRAIN_TYPES = {
+    tunnel:     { label: "Tunnel",          color: "rgba(196,164,112,0.45)", noVein: true, open: true },
+    rock:       { label: "Rock",            color: "rgba(140,146,158,0.35)" },
+    reinforced: { label: "Reinforced wall", color: "rgba(86,140,210,0.45)",  blocked: true },
+    water:      { label: "Water",           color: "rgba(40,110,230,0.5)",   noVein: true, open: true },
+    claimed:    { label: "Claimed",         color: "rgba(220,80,200,0.35)",  blocked: true }
+  };
+
+  function cleanTerrain(terrain) {
+    const out = {};
+    if (!terrain || typeof terrain !== "object") return out;
+    for (const [k, type] of Object.entries(terrain)) {
+      if (TERRAIN_TYPES[type] && /^-?\d+,-?\d+$/.test(k)) out[k] = type;
+    }
+    return out;
+  }
+
+  function terrainKeys(terrain, flag) {
+    return Object.keys(terrain).filter(k => TERRAIN_TYPES[terrain[k]] && TERRAIN_TYPES[terrain[k]][flag]);
+  }
+
+  // Drops tiles that cannot hold a vein.
+  function withoutNoVeinTiles(cand, noVein) {
+    return noVein.size === 0 ? cand : cand.andNot(noVein);
+  }
+
+  // ---------- Solver settings ----------
+  const DEFAULT_SOLVER_SETTINGS = { solver: "strict", heatTopN: 5, absence: false };
+
+  function solverSettings(settings) {
+    const s = { ...DEFAULT_SOLVER_SETTINGS, ...(settings || {}) };
+    s.detection = cloneDetection(s.detection);
+    s.qualityBands = cloneBands(s.qualityBands);
+    return s;
+  }
+
+  // ---------- Multiplicity / solver ----------
+  // A run carries what one solve shares: normalised settings, the tile grid, the no-vein tiles,
+  // the vein id counter and the caches kept by createSolver().
+  function createVeinInstance(run, ore, qlDisplay, qlColor, tiles) {
+    return {
+      id: run.nextId++,
+      ore,
+      qlDisplay: qlDisplay || "",
+      qlRange: parseQlRange(qlDisplay),
+      qlColor: qlColor || NO_QL_COLOR,
+      feasible: tiles.clone(),
+      locked: false,
+      lockedCoord: null
+    };
+  }
+
+  // Pins a vein of this ore whose quality range fits to (x, y), narrowing its range; otherwise adds one.
+  function lockVeinAt(run, veins, ore, qlRange, x, y) {
+    const bands = run.settings.qualityBands;
+    for (const v of veins) {
+      if (v.ore === ore && rangesOverlap(v.qlRange, qlRange)) {
+        if (v.feasible && v.feasible.hasXY(x, y)) {
+          v.feasible = singleTile(run.grid, x, y);
+          v.locked = true;
+          v.lockedCoord = { x, y };
+          v.qlRange = rangeIntersect(v.qlRange, qlRange);
+          v.qlDisplay = qlRangeText(v.qlRange);
+          v.qlColor = qlColorForRange(v.qlRange, bands);
+          return;
+        }
+      }
+    }
+    const vNew = createVeinInstance(run, ore, qlRangeText(qlRange), qlColorForRange(qlRange, bands), singleTile(run.grid, x, y));
+    vNew.locked = true;
+    vNew.lockedCoord = { x, y };
+    veins.push(vNew);
+  }
+
+  // How far (tiles, per axis) we try shifting an observation to see whether a step typo explains a miss.
+  const STEP_FIX_RADIUS = 2;
+
+  // Called when an observation overlaps no existing vein of its key. Returns null if there was
+  // no such vein (a genuinely new vein), otherwise { cause, shift?, lockedCoord? }.
+  function diagnoseMiss(veins, ore, qlRange, candidateSet) {
+    const same = veins.filter(v =>
+      v.ore === ore && rangesOverlap(v.qlRange, qlRange) && v.feasible && v.feasible.size > 0);
+    if (same.length === 0) return null;
+
+    for (let r = 1; r <= STEP_FIX_RADIUS; r++) {
+      for (let dx = -r; dx <= r; dx++) {
+        for (let dy = -r; dy <= r; dy++) {
+          if (Math.max(Math.abs(dx), Math.abs(dy)) !== r) continue;
+          const shifted = candidateSet.shifted(dx, dy);
+          if (same.some(v => shifted.intersects(v.feasible))) return { cause: "step", shift: { dx, dy } };
+        }
+      }
+    }
+
+    const locked = same.find(v => v.locked);
+    if (locked) return { cause: "locked", lockedCoord: locked.lockedCoord };
+    return { cause: "multiple" };
+  }
+
+  // ---------- Absence ("no trace of X") ----------
+  // The farthest any trace can be reported from; a vein inside that range would have shown up.
+  function maxDetectionRange(detection) {
+    return Math.max(...STRENGTH_WORDS.map(w => strengthToDistance(w, detection)));
+  }
+
+  // Every tile some trace from this source could point at, i.e. the union of all direction wedges.
+  function detectionArea(grid, source, detection) {
+    const d = maxDetectionRange(detection);
+    let out = createTileSet(grid);
+    for (const dir of Object.values(DIR_MAP)) out = out.or(wedgeTiles(grid, source, { min: 1, max: d }, dir, detection.geometry));
+    return out;
+  }
+
+  function isAbsenceEnabled(entry, settings) {
+    return !!settings.absence && entry.absence !== false;
+  }
+
+  // A vein counts as reported if the entry mentions its ore at all (any quality) or an unknown trace.
+  function entryReportsOre(entry, ore) {
+    const p = entry.parsed;
+    if (p.mineOre === ore) return true;
+    return p.traces.some(t => !t.dropped && (t.ore === ore || t.ore === "Unknown"));
+  }
+
+  function traceVeinInfo(t, bands) {
+    const band = bandForAdj(t.adj, bands);
+    const qlRange = band ? { min: band.min, max: band.max } : null;
+    return {
+      ore: t.ore || "Unknown",
+      qlRange,
+      qlDisplay: qlRangeText(qlRange),
+      qlColor: band ? band.color : NO_QL_COLOR
+    };
+  }
+
+  // How many partial assignments assignObservations explores per vein key before settling for the best so far.
+  const ASSIGN_SEARCH_LIMIT = 20000;
+  // An alternative split scoring at least this share of the chosen one's consistency is flagged as ambiguous.
+  const AMBIGUITY_RATIO = 0.9;
+
+  function assignmentSignature(groups) {
+    return groups.map(g => `${qlRangeText(g.range)}:${g.feasible.signature()}`).sort().join("|");
+  }
+
+  // How much of each observation's wedge survives in its vein, summed: 1 per observation when they all agree.
+  function assignmentConsistency(groups) {
+    let score = 0;
+    for (const g of groups) for (const o of g.obs) score += g.feasible.size / o.cand.size;
+    return score;
+  }
+
+  // Splits one ore's observations [{ entryIndex, traceIdx, cand, range }] into veins. A vein's observations
+  // must share at least one tile and overlapping quality ranges, and one analysis never reports the same vein twice. The fewest veins wins,
+  // then the most consistent split; `alternative` is a different split that is nearly as consistent.
+  // `unsettled` is set when the search stopped at ASSIGN_SEARCH_LIMIT, so the split is only the best one found.
+  function assignObservations(obs) {
+    let best = null, bestScore = 0, runnerUp = null, runnerUpScore = 0, nodes = 0;
+
+    const visit = (i, groups) => {
+      if (++nodes > ASSIGN_SEARCH_LIMIT) return;
+      if (best && groups.length > best.length) return;
+      if (i === obs.length) {
+        const score = assignmentConsistency(groups);
+        if (!best || groups.length < best.length) {
+          best = groups; bestScore = score; runnerUp = null;
+        } else if (assignmentSignature(groups) === assignmentSignature(best)) {
+          return;
+        } else if (score > bestScore) {
+          runnerUp = best; runnerUpScore = bestScore;
+          best = groups; bestScore = score;
+        } else if (!runnerUp || score > runnerUpScore) {
+          runnerUp = groups; runnerUpScore = score;
+        }
+        return;
+      }
+      const o = obs[i];
+      groups.forEach((g, j) => {
+        if (g.entries.has(o.entryIndex) || !rangesOverlap(g.range, o.range) || !g.feasible.intersects(o.cand)) return;
+        const next = groups.slice();
+        next[j] = { feasible: g.feasible.and(o.cand), range: rangeIntersect(g.range, o.range), entries: new Set(g.entries).add(o.entryIndex), obs: [...g.obs, o] };
+        visit(i + 1, next);
+      });
+      visit(i + 1, [...groups, { feasible: o.cand, range: o.range, entries: new Set([o.entryIndex]), obs: [o] }]);
+    };
+
+    visit(0, []);
+    const alternative = runnerUp && runnerUpScore >= bestScore * AMBIGUITY_RATIO ? runnerUp : null;
+    return { groups: best || [], alternative, unsettled: nodes > ASSIGN_SEARCH_LIMIT };
+  }
+
+  // The latest observation that sits with different company in the two splits.
+  function lastReassigned(obs, groups, alternative) {
+    const mates = gs => {
+      const m = new Map();
+      for (const g of gs) for (const o of g.obs) m.set(o, g.obs.filter(x => x !== o));
+      return m;
+    };
+    const a = mates(groups), b = mates(alternative);
+    for (let i = obs.length - 1; i >= 0; i--) {
+      const x = a.get(obs[i]), y = b.get(obs[i]);
+      if (x.length !== y.length || x.some(m => !y.includes(m))) return obs[i];
+    }
+    return null;
+  }
+
+  // ---------- Solver caches ----------
+  // createSolver() keeps the wedge of every trace and the vein split of every ore between solves.
+  // Each solve reads last solve's store and keeps only what it used again, so adding a step computes
+  // that step's wedges and re-splits just the ores it mentions.
+  function createCacheStore(prev, next) {
+    return { prev: prev || new Map(), next: next || new Map() };
+  }
+
+  function remember(store, key, make) {
+    let value = store.next.get(key);
+    if (value === undefined) value = store.prev.has(key) ? store.prev.get(key) : make();
+    store.next.set(key, value);
+    return value;
+  }
+
+  function wedgeKey(source, t) {
+    return `${source.x},${source.y}|${t.strengthWord}|${t.dir ? `${t.dir.dx},${t.dir.dy}` : "-"}`;
+  }
+
+  function traceWedge(run, source, t) {
+    const { detection } = run.settings;
+    return remember(run.cache.wedges, wedgeKey(source, t), () =>
+      wedgeTiles(run.grid, source, strengthToRing(t.strengthWord, detection), t.dir, detection.geometry));
+  }
+
+  function entryArea(run, source) {
+    return remember(run.cache.areas, `${source.x},${source.y}`, () => detectionArea(run.grid, source, run.settings.detection));
+  }
+
+  function observationsKey(run, ore, obs) {
+    return `${ore}|${run.noVeinKey}|${obs.map(o => `${o.entryIndex}:${o.key}~${qlRangeText(o.range)}`).join(" ")}`;
+  }
+
+  // conflicts collects { entryIndex, traceIdx, ore, qlDisplay, cause, shift?, lockedCoord? }
+  // for observations that contradict what earlier ones established.
+  function rebuildVeinsFromEntries(run, entries, marks, conflicts) {
+    const { qualityBands: bands } = run.settings;
+    const byOre = new Map(); // ore => [{ entryIndex, traceIdx, key, cand, range, mine? }]
+    const addObs = (ore, o) => {
+      if (!byOre.has(ore)) byOre.set(ore, []);
+      byOre.get(ore).push(o);
+    };
+
+    entries.forEach((entry, entryIndex) => {
+      if (!isEntryEnabled(entry)) return;
+      const source = { x: entry.x, y: entry.y };
+      const parsed = entry.parsed;
+
+      // Lock at source ONLY if mining ore + numeric max QL
+      if (parsed.mineOre && Number.isFinite(parsed.mineMaxQl)) {
+        const ql = parsed.mineMaxQl;
+        addObs(parsed.mineOre, {
+          entryIndex, traceIdx: [], key: `${source.x},${source.y}|mine`,
+          cand: singleTile(run.grid, source.x, source.y), range: { min: ql, max: ql }, mine: true
+        });
+      }
+
+      parsed.traces.forEach((t, traceIndex) => {
+        if (t.dropped) return;
+        const { ore, qlRange, qlDisplay } = traceVeinInfo(t, bands);
+        const wedge = traceWedge(run, source, t);
+        if (wedge.size === 0) return;
+        const cand = withoutNoVeinTiles(wedge, run.noVein);
+        if (cand.size === 0) {
+          conflicts.push({ entryIndex, traceIdx: [traceIndex], ore, qlDisplay, cause: "terrain" });
+          return;
+        }
+        addObs(ore, { entryIndex, traceIdx: [traceIndex], key: wedgeKey(source, t), cand, range: qlRange });
+      });
+    });
+
+    const veins = [];
+    const firstEntry = new Map(); // vein => entryIndex of its first observation
+
+    for (const [ore, obs] of byOre) {
+      // A cached split holds the observations it was made from; they match these field for field.
+      const split = remember(run.cache.splits, observationsKey(run, ore, obs), () => ({ obs, ...assignObservations(obs) }));
+      const { groups, alternative, unsettled } = split;
+
+      groups.forEach((g, j) => {
+        const qlDisplay = qlRangeText(g.range);
+        const v = createVeinInstance(run, ore, qlDisplay, qlColorForRange(g.range, bands), g.feasible);
+        // A split the search did not finish is a guess, so none of its veins lock.
+        if (v.feasible.size === 1 && !unsettled) {
+          v.locked = true;
+          v.lockedCoord = v.feasible.first();
+        }
+        veins.push(v);
+        const first = g.obs[0];
+        firstEntry.set(v, first.entryIndex);
+        if (j === 0 || first.mine) return;
+
+        // A later vein is only suspicious if its first trace fit none of the veins known at that point.
+        const earlier = groups.slice(0, j).map(h => {
+          const before = h.obs.filter(o => o.entryIndex < first.entryIndex);
+          if (before.length === 0) return null;
+          const feasible = before.slice(1).reduce((acc, o) => acc.and(o.cand), before[0].cand);
+          const qlRange = before.slice(1).reduce((acc, o) => rangeIntersect(acc, o.range), before[0].range);
+          return { ore, qlRange, feasible, locked: feasible.size === 1, lockedCoord: feasible.size === 1 ? feasible.first() : null };
+        }).filter(h => h && rangesOverlap(h.qlRange, first.range));
+        if (earlier.length === 0 || earlier.some(h => h.feasible.intersects(first.cand))) return;
+        const miss = diagnoseMiss(earlier, ore, first.range, first.cand);
+        if (miss) conflicts.push({ entryIndex: first.entryIndex, traceIdx: first.traceIdx, ore, qlDisplay, ...miss });
+      });
+
+      if (unsettled) {
+        const o = split.obs.filter(x => !x.mine).pop();
+        if (o) conflicts.push({ entryIndex: o.entryIndex, traceIdx: o.traceIdx, ore, qlDisplay: qlRangeText(o.range), cause: "unsettled", veins: groups.length });
+      } else if (alternative) {
+        const o = lastReassigned(split.obs, groups, alternative);
+        if (o && !o.mine) conflicts.push({ entryIndex: o.entryIndex, traceIdx: o.traceIdx, ore, qlDisplay: qlRangeText(o.range), cause: "ambiguous", veins: groups.length });
+      }
+    }
+
+    // An absence only speaks about veins already seen before that entry.
+    entries.forEach((entry, entryIndex) => {
+      if (!isEntryEnabled(entry) || !isAbsenceEnabled(entry, run.settings)) return;
+      for (const v of veins) {
+        if (firstEntry.get(v) >= entryIndex) continue;
+        if (entryReportsOre(entry, v.ore)) continue;
+        const remaining = v.feasible.andNot(entryArea(run, { x: entry.x, y: entry.y }));
+        if (remaining.size === v.feasible.size) continue;
+        if (remaining.size === 0) {
+          conflicts.push({ entryIndex, traceIdx: [], ore: v.ore, qlDisplay: v.qlDisplay, cause: "absent" });
+          continue;
+        }
+        v.feasible = remaining;
+        if (remaining.size === 1) {
+          v.locked = true;
+          v.lockedCoord = remaining.first();
+        }
+      }
+    });
+
+    applyMarks(run, veins, marks, conflicts);
+    return veins;
+  }
+
+  // ---------- Dig marks ----------
+  // Tiles the user dug: { x, y, found: null | { ore, qlDisplay } }. Hard evidence, applied after all entries.
+  function markColor(m, bands) {
+    if (!m.found) return NO_QL_COLOR;
+    return qlColorForRange(parseQlRange(m.found.qlDisplay), bands);
+  }
+
+  function applyMarks(run, veins, allMarks, conflicts) {
+    const marks = allMarks.map((m, markIndex) => ({ m, markIndex }));
+
+    for (const { m } of marks.filter(({ m }) => m.found)) {
+      lockVeinAt(run, veins, m.found.ore, parseQlRange(m.found.qlDisplay), m.x, m.y);
+    }
+
+    for (const { m, markIndex } of marks.filter(({ m }) => !m.found)) {
+      for (const v of veins) {
+        if (!v.feasible.hasXY(m.x, m.y)) continue;
+        if (v.feasible.size === 1) {
+          conflicts.push({ markIndex, traceIdx: [], ore: v.ore, qlDisplay: v.qlDisplay, cause: "dug" });
+          continue;
+        }
+        v.feasible = v.feasible.clone();
+        v.feasible.deleteXY(m.x, m.y);
+        if (v.feasible.size === 1) {
+          v.locked = true;
+          v.lockedCoord = v.feasible.first();
+        }
+      }
+    }
+  }
+
+  // ---------- Heatmap solver ----------
+  // Instead of intersecting, every observation votes: +weight for tiles inside its wedge,
+  // -weight * CONTRADICTION_PENALTY for tiles of the same key it rules out.
+  // One bad step therefore lowers scores instead of emptying the vein.
+  const STRENGTH_WEIGHT = { slight: 1, faint: 0.85, minuscule: 0.85, vague: 0.7, indistinct: 0.55 };
+  const CONTRADICTION_PENALTY = 0.5;
+  const ABSENCE_WEIGHT = 0.5;
+
+  function strengthWeight(strengthWord) {
+    return STRENGTH_WEIGHT[strengthWord] || STRENGTH_WEIGHT.slight;
+  }
+
+  // Returns one "vein" per ore/quality key, shaped like rebuildVeinsFromEntries() output plus:
+  // heat (tile scores in 0..1 relative to all observations agreeing) and top (best tile keys).
+  // Unlike the strict solver it never splits a key into several veins: traces that miss each other only lower
+  // the scores, so a second vein of the same type cannot be told from a bad trace.
+  function rebuildHeatVeinsFromEntries(run, entries, marks) {
+    const { detection, qualityBands: bands } = run.settings;
+    const { grid } = run;
+    const byKey = new Map(); // veinKey => { ore, qlDisplay, qlColor, obs: [{ cand, w }], absent: [tiles] }
+
+    const addObs = (ore, qlDisplay, qlColor, cand, w) => {
+      const key = `${ore}||${qlDisplay}`;
+      if (!byKey.has(key)) byKey.set(key, { ore, qlDisplay, qlColor, obs: [], absent: [] });
+      byKey.get(key).obs.push({ cand, w });
+    };
+
+    for (const entry of entries) {
+      if (!isEntryEnabled(entry)) continue;
+      const source = { x: entry.x, y: entry.y };
+      const parsed = entry.parsed;
+
+      // Absence only votes against keys seen in earlier entries; it adds nothing to "all agree".
+      if (isAbsenceEnabled(entry, run.settings)) {
+        for (const g of byKey.values()) {
+          if (!entryReportsOre(entry, g.ore)) g.absent.push(entryArea(run, source));
+        }
+      }
+
+      if (parsed.mineOre && Number.isFinite(parsed.mineMaxQl)) {
+        // Filed under its band so it pools with the traces of that band.
+        const ql = parsed.mineMaxQl;
+        const band = bandForQl(ql, bands);
+        addObs(parsed.mineOre, band ? qlRangeText(band) : String(ql), qlColorForNumber(ql, bands), singleTile(grid, source.x, source.y), 1);
+      }
+
+      for (const t of parsed.traces) {
+        if (t.dropped) continue;
+        const { ore, qlDisplay, qlColor } = traceVeinInfo(t, bands);
+        const cand = withoutNoVeinTiles(traceWedge(run, source, t), run.noVein);
+        if (cand.size === 0) continue;
+        addObs(ore, qlDisplay, qlColor, cand, strengthWeight(t.strengthWord));
+      }
+    }
+
+    const topN = clamp(parseIntSafe(run.settings.heatTopN, 5), 1, 50);
+    const veins = [];
+
+    for (const g of byKey.values()) {
+      const total = g.obs.reduce((sum, o) => sum + o.w, 0);
+      // Weight of the observations covering each tile; every other observation counts against it.
+      const within = new Float64Array(grid.w * grid.h);
+      let tiles = createTileSet(grid);
+      for (const o of g.obs) {
+        o.cand.forEachIndex(i => { within[i] += o.w; });
+        tiles = tiles.or(o.cand);
+      }
+
+      const values = new Float64Array(grid.w * grid.h);
+      tiles.forEachIndex(i => {
+        let score = within[i] - (total - within[i]) * CONTRADICTION_PENALTY;
+        for (const area of g.absent) if (area.bits[i >>> 5] & (1 << (i & 31))) score -= ABSENCE_WEIGHT;
+        if (score > 0) values[i] = score / total;
+      });
+      const heat = createTileScores(grid, values);
+
+      const top = [...heat.entries()]
+        .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+        .slice(0, topN)
+        .map(([k]) => k);
+
+      const v = createVeinInstance(run, g.ore, g.qlDisplay, g.qlColor, heat.tiles());
+      v.heat = heat;
+      v.top = top;
+      if (v.feasible.size === 1) {
+        v.locked = true;
+        v.lockedCoord = parseCoordKey(top[0]);
+      }
+      veins.push(v);
+    }
+
+    // A found mark pins its key to that tile outright.
+    for (const m of marks) {
+      if (!m.found) continue;
+      let v = veins.find(v => v.ore === m.found.ore && rangesOverlap(v.qlRange, parseQlRange(m.found.qlDisplay)));
+      if (!v) {
+        v = createVeinInstance(run, m.found.ore, m.found.qlDisplay, markColor(m, bands), createTileSet(grid));
+        veins.push(v);
+      }
+      v.feasible = singleTile(grid, m.x, m.y);
+      v.heat = createTileScores(grid).setXY(m.x, m.y, 1);
+      v.top = [coordKey(m.x, m.y)];
+      v.locked = true;
+      v.lockedCoord = { x: m.x, y: m.y };
+    }
+    // Dug-and-empty tiles simply drop out of every unlocked heat layer.
+    for (const m of marks) {
+      if (m.found) continue;
+      const k = coordKey(m.x, m.y);
+      for (const v of veins) {
+        if (v.locked || !v.heat.hasXY(m.x, m.y)) continue;
+        v.heat.deleteXY(m.x, m.y);
+        v.feasible.deleteXY(m.x, m.y);
+        v.top = v.top.filter(t => t !== k);
+      }
+    }
+
+    return veins;
+  }
+
+  // ---------- Solving ----------
+  // A solver remembers per-trace wedges and per-ore vein splits from its previous solve (see Solver caches).
+  // The caches are dropped whenever the grid or the detection model changes.
+  function createSolver() {
+    let basis = null;
+    let stores = {};
+
+    // Entries keep their own x/y when given; otherwise positions are walked from dx/dy on copies.
+    function place(entries) {
+      if (entries.every(e => Number.isFinite(e.x) && Number.isFinite(e.y))) return entries;
+      const placed = entries.map(e => ({ ...e }));
+      recomputePositions(placed);
+      return placed;
+    }
+
+    function gridFor(points, s) {
+      const grid = gridAround(points, maxDetectionRange(s.detection) + STEP_FIX_RADIUS);
+      const nextBasis = `${grid.x0},${grid.y0},${grid.w},${grid.h}|${JSON.stringify(s.detection)}`;
+      if (nextBasis !== basis) {
+        basis = nextBasis;
+        stores = {};
+      }
+      return grid;
+    }
+
+    // Reads the caches of the previous solve or replay and files whatever it uses in next.
+    function solveOn(grid, s, placed, marks, terrain, next) {
+      const noVeinKeys = terrainKeys(terrain, "noVein").sort();
+      const run = {
+        settings: s,
+        grid,
+        noVein: tilesFromKeys(grid, noVeinKeys),
+        noVeinKey: noVeinKeys.join(" "),
+        nextId: 1,
+        cache: {
+          wedges: createCacheStore(stores.wedges, next.wedges),
+          areas: createCacheStore(stores.areas, next.areas),
+          splits: createCacheStore(stores.splits, next.splits)
+        }
+      };
+
+      const conflicts = [];
+      const veins = s.solver === "heatmap"
+        ? rebuildHeatVeinsFromEntries(run, placed, marks)
+        : rebuildVeinsFromEntries(run, placed, marks, conflicts);
+      return { veins, conflicts };
+    }
+
+    return {
+      solve(entries, settings, { marks = [], terrain = {} } = {}) {
+        const placed = place(entries);
+        const s = solverSettings(settings);
+        const grid = gridFor([...placed, ...marks], s);
+        const next = { wedges: new Map(), areas: new Map(), splits: new Map() };
+        const out = solveOn(grid, s, placed, marks, terrain, next);
+        stores = next;
+        return out;
+      },
+
+      // The stops of a timeline replay: one solve per prefix of the entries, then one with the dig marks if there
+      // are any. All stops share the grid of the last one and one cache generation, so each prefix reuses the
+      // wedges and splits of the one before, and replaying again after an edit redoes only what changed.
+      replay(entries, settings, { marks = [], terrain = {} } = {}) {
+        const placed = place(entries);
+        const s = solverSettings(settings);
+        const grid = gridFor([...placed, ...marks], s);
+        const next = { wedges: new Map(), areas: new Map(), splits: new Map() };
+        const solves = placed.map((e, i) => solveOn(grid, s, placed.slice(0, i + 1), [], terrain, next));
+        if (marks.length) solves.push(solveOn(grid, s, placed, marks, terrain, next));
+        stores = next;
+        return solves;
+      }
+    };
+  }
+
+  function solve(entries, settings, options) {
+    return createSolver().solve(entries, settings, options);
+  }
+
+  // ---------- Next-step suggestions ----------
+  // Simulates an analyse from every tile within walking range: for each vein, every feasible tile predicts
+  // one reading (direction + strength) and the solver would keep that reading's wedge.
+  const COMPASS_DIRS = [
+    DIR_MAP.east, DIR_MAP.northeast, DIR_MAP.north, DIR_MAP.northwest,
+    DIR_MAP.west, DIR_MAP.southwest, DIR_MAP.south, DIR_MAP.southeast
+  ];
+
+  // The reading an analyse would give for a vein (dx, dy) away, or null when out of range.
+  // The compass octant wins; the strength is the tightest ring that still contains the tile.
+  function expectedReading(dx, dy, words, detection) {
+    const own = COMPASS_DIRS[sectorIndex(dx, dy)];
+    for (const dir of [own, ...COMPASS_DIRS]) {
+      for (const w of words) {
+        const ring = strengthToRing(w, detection);
+        if (inWedge(dx, dy, dir, ring, detection.geometry)) return { dir, ring, key: `${dir.dx},${dir.dy}|${w}` };
+      }
+    }
+    return null;
+  }
+
+  function weightedTiles(v) {
+    const out = [];
+    v.feasible.forEachTile((x, y) => out.push({ x, y, w: v.heat ? v.heat.getXY(x, y) : 1 }));
+    return out;
+  }
+
+  // Expected feasible tiles left for one vein after analysing at pos, and the chance that it locks.
+  function scoreVeinAt(tiles, pos, readingAt, s) {
+    const outcomes = new Map(); // key => { w, reading }
+    let total = 0;
+    for (const t of tiles) {
+      const dx = t.x - pos.x, dy = t.y - pos.y;
+      const reading = dx === 0 && dy === 0 ? { key: "here" } : readingAt(dx, dy);
+      const key = reading ? reading.key : "none";
+      if (!outcomes.has(key)) outcomes.set(key, { w: 0, reading });
+      outcomes.get(key).w += t.w;
+      total += t.w;
+    }
+    if (total <= 0) return { left: tiles.length, lockChance: 0 };
+
+    let left = 0, lockChance = 0;
+    for (const [key, o] of outcomes) {
+      let size;
+      if (key === "here") size = 1;
+      else if (key === "none") {
+        // Silence only narrows things down when absences count as evidence.
+        size = s.absence
+          ? tiles.filter(t => !readingAt(t.x - pos.x, t.y - pos.y)).length
+          : tiles.length;
+      } else {
+        size = tiles.filter(t => inWedge(t.x - pos.x, t.y - pos.y, o.reading.dir, o.reading.ring, s.detection.geometry)).length;
+      }
+      left += (o.w / total) * size;
+      if (size === 1) lockChance += o.w / total;
+    }
+    return { left, lockChance };
+  }
+
+  // The best spots to analyse next for the given veins of a solve, best first:
+  // most tiles ruled out overall, or with lockGoal the best chance of locking one of them.
+  function suggestSteps(veins, settings, { from = { x: 0, y: 0 }, radius = 8, lockGoal = false, shown = 5 } = {}) {
+    const s = solverSettings(settings);
+    if (veins.length === 0) return [];
+    const targetTiles = veins.map(weightedTiles);
+
+    const words = STRENGTH_WORDS.slice().sort((a, b) => strengthToDistance(a, s.detection) - strengthToDistance(b, s.detection));
+    // Readings only depend on the offset, and the same offsets recur for every position.
+    const readings = new Map();
+    const readingAt = (dx, dy) => {
+      const k = coordKey(dx, dy);
+      if (!readings.has(k)) readings.set(k, expectedReading(dx, dy, words, s.detection));
+      return readings.get(k);
+    };
+    const before = veins.reduce((sum, v) => sum + v.feasible.size, 0);
+    const out = [];
+
+    for (let dx = -radius; dx <= radius; dx++) {
+      for (let dy = -radius; dy <= radius; dy++) {
+        if (dx === 0 && dy === 0) continue;
+        const pos = { x: from.x + dx, y: from.y + dy };
+        let left = 0, lockChance = 0;
+        for (const tiles of targetTiles) {
+          const score = scoreVeinAt(tiles, pos, readingAt, s);
+          left += score.left;
+          lockChance = Math.max(lockChance, score.lockChance);
+        }
+        out.push({ ...pos, dx, dy, left, reduction: before - left, lockChance, walk: Math.max(Math.abs(dx), Math.abs(dy)) });
+      }
+    }
+
+    const byGoal = lockGoal
+      ? (a, b) => b.lockChance - a.lockChance || a.left - b.left || a.walk - b.walk
+      : (a, b) => b.reduction - a.reduction || a.walk - b.walk;
+    return out.sort(byGoal).slice(0, shown);
+  }
+
+  // Solve results as plain data for postMessage, and back. Tile sets travel as their grid and bits.
+  function packSolve({ veins, conflicts }) {
+    return {
+      conflicts,
+      veins: veins.map(v => ({
+        ...v,
+        feasible: { grid: v.feasible.grid, bits: v.feasible.bits },
+        ...(v.heat ? { heat: { grid: v.heat.grid, values: v.heat.values } } : {})
+      }))
+    };
+  }
+
+  function unpackSolve({ veins, conflicts }) {
+    return {
+      conflicts,
+      veins: veins.map(v => ({
+        ...v,
+        feasible: createTileSet(v.feasible.grid, v.feasible.bits),
+        ...(v.heat ? { heat: createTileScores(v.heat.grid, v.heat.values) } : {})
+      }))
+    };
+  }
+
+  return {
+    parse,
+    solve,
+    createSolver,
+    packSolve,
+    unpackSolve,
+    suggestSteps,
+
+    clamp,
+    parseIntSafe,
+    coordKey,
+    parseCoordKey,
+    setIntersect,
+    titleCase,
+
+    DEFAULT_QUALITY_BANDS,
+    QL_MAX,
+    NO_QL_COLOR,
+    cloneBands,
+    qlRangeText,
+    parseQlRange,
+    rangesOverlap,
+    rangeIntersect,
+    bandForQl,
+    qlColorForNumber,
+    qlColorForRange,
+    bandForAdj,
+
+    ORE_CATALOGUE,
+    oreNormalize,
+    DIR_MAP,
+    parseDirectionPhrase,
+
+    DEFAULT_DETECTION,
+    GEOMETRY_PROFILES,
+    cloneDetection,
+    strengthToRing,
+    sectorIndex,
+    inWedge,
+    wedgeCandidates,
+    traceCandidates,
+    createGrid,
+    createTileSet,
+    createTileScores,
+
+    STRENGTH_WORDS,
+    ENGLISH_PACK,
+    compilePack,
+    parseLogBlockDetailed,
+    parseLogBlock,
+    parseLogSessions,
+
+    isEntryEnabled,
+    recomputePositions,
+    TERRAIN_TYPES,
+    cleanTerrain,
+    terrainKeys,
+    DEFAULT_SOLVER_SETTINGS,
+    solverSettings,
+    markColor
+  };
+});
@@ -0,0 +1,34 @@
+/* Wurm Online – Advanced Shard Analyzer: background solver (shard-worker.js)
+   Runs shard-core.js off the page's main thread. One solver instance lives as long as the worker,
+   so its caches carry over from one request to the next. The page runs the live solve in one worker and
+   timeline replays and next-step suggestions in another, so neither holds up the live solve.
+   In:  { entries, settings, marks, terrain }  (the arguments of ShardCore.solve)
+        { type: "replay", revision, entries, settings, marks, terrain }  (a timeline replay)
+        { type: "suggest", basis, goal, veins, settings, from, radius, lockGoal }  (veins as in packSolve output)
+   Out: { solved } (ShardCore.packSolve output), { replayed, revision } (one packSolve output per stop),
+        { suggested, basis, goal } (ShardCore.suggestSteps output) or { error }
+*/
+
+importScripts("shard-core.js");
+
+const { createSolver, packSolve, unpackSolve, suggestSteps } = self.ShardCore;
+const solver = createSolver();
+
+self.onmessage = ev => {
+  const { type, revision, entries, settings, marks, terrain } = ev.data;
+  try {
+    if (type === "suggest") {
+      const { basis, goal, veins, from, radius, lockGoal } = ev.data;
+      const targets = unpackSolve({ veins, conflicts: [] }).veins;
+      self.postMessage({ suggested: suggestSteps(targets, settings, { from, radius, lockGoal }), basis, goal });
+      return;
+    }
+    if (type === "replay") {
+      self.postMessage({ replayed: solver.replay(entries, settings, { marks, terrain }).map(packSolve), revision });
+      return;
+    }
+    self.postMessage({ solved: packSolve(solver.solve(entries, settings, { marks, terrain })) });
+  } catch (e) {
+    self.postMessage({ error: e.message });
+  }
+};
@@ -0,0 +1,35 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("node:path");
+const { spawnSync } = require("node:child_process");
+
+const CLI = path.join(__dirname, "..", "shard-cli.js");
+const LOG = path.join(__dirname, "fixtures", "walk-and-lock.log");
+
+function run(...args) {
+  return spawnSync(process.execPath, [CLI, ...args], { encoding: "utf8", timeout: 20000 });
+}
+
+test("prints veins and candidate tiles", () => {
+  const r = run(LOG, "--steps", "0,0 3,0 0,4 -1,-1");
+  assert.equal(r.status, 0, r.stderr);
+  assert.match(r.stdout, /^Iron 71 — locked at 2, 3$/m);
+  assert.match(r.stdout, /^Copper 40-59 — 10 tiles$/m);
+  assert.match(r.stdout, /^  -2,-1 -1,-1 0,-1 1,-1 /m);
+});
+
+test("--json carries tiles and heat scores", () => {
+  const r = run(LOG, "--steps", "0,0 3,0 0,4 -1,-1", "--solver", "heatmap", "--top", "2", "--json");
+  assert.equal(r.status, 0, r.stderr);
+  const out = JSON.parse(r.stdout);
+  assert.equal(out.sessions.length, 4);
+  const iron = out.veins.find(v => v.ore === "iron");
+  assert.deepEqual(iron.top, [{ x: 2, y: 3 }, { x: 1, y: 1 }]);
+  assert.ok(iron.tiles.every(t => t.score > 0));
+});
+
+test("refuses a step count that does not match the sessions", () => {
+  const r = run(LOG, "--steps", "0,0 3,0");
+  assert.equal(r.status, 1);
+  assert.match(r.stderr, /4 sessions found but 2 steps given/);
+});
@@ -0,0 +1,173 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const core = require("../shard-core.js");
+
+test("parse splits a log into sessions and skips chat", () => {
+  const sessions = core.parse([
+    "[12:00:00] Alice: hi",
+    "[12:00:01] You start to analyse the shard.",
+    "[12:00:02] You spot a slight trace of utmost quality iron (east of north).",
+    "[12:00:03] You finish analysing the shard.",
+    "[12:00:04] You start to analyze the ore.",
+    "[12:00:05] You would mine copper ore here.",
+    "[12:00:05] It has a max quality of 42."
+  ].join("\n"));
+  assert.equal(sessions.length, 2);
+  assert.equal(sessions[0].time, "12:00:01");
+  assert.deepEqual(sessions[0].parsed.traces, [
+    { ore: "iron", adj: "utmost", strengthWord: "slight", dir: { type: "dir", dx: 1, dy: 1 } }
+  ]);
+  assert.equal(sessions[1].parsed.mineOre, "copper");
+  assert.equal(sessions[1].parsed.mineMaxQl, 42);
+});
+
+test("parse ignores text without a start marker", () => {
+  assert.deepEqual(core.parse("You spot a slight trace of iron (north)."), []);
+});
+
+test("ore aliases normalise to catalogue names", () => {
+  assert.equal(core.oreNormalize("glimmer steel ore"), "glimmersteel");
+  assert.equal(core.oreNormalize("rocksalt"), "rock salt");
+  assert.equal(core.oreNormalize("stone shards"), null);
+  assert.equal(core.oreNormalize("blue crystal vein"), "blue crystal");
+});
+
+test("wedge sizes follow the geometry profile", () => {
+  const ring = { min: 1, max: 6 };
+  const north = core.parseDirectionPhrase("north");
+  const ne = core.parseDirectionPhrase("north of east");
+  assert.equal(core.wedgeCandidates({ x: 0, y: 0 }, ring, north, "classic").size, 78);
+  assert.equal(core.wedgeCandidates({ x: 0, y: 0 }, ring, ne, "classic").size, 15);
+  for (const geometry of ["octant", "chebyshev"]) {
+    for (const k of core.wedgeCandidates({ x: 0, y: 0 }, ring, north, geometry)) {
+      assert.equal(core.sectorIndex(...k.split(",").map(Number)), core.sectorIndex(0, 1), `${geometry} ${k}`);
+    }
+  }
+});
+
+test("quality words map to the configured bands", () => {
+  const bands = core.cloneBands([{ key: "good", word: "fine", min: 55, max: 70 }]);
+  assert.equal(core.bandForAdj("very good", bands).key, "very_good");
+  assert.equal(core.bandForAdj("fine", bands).min, 55);
+  assert.equal(core.bandForAdj("good", bands), null);
+  assert.deepEqual(core.parseQlRange(" 80 - 94 "), { min: 80, max: 94 });
+  assert.equal(core.qlRangeText({ min: 71, max: 71 }), "71");
+});
+
+test("solve walks dx/dy when entries have no positions", () => {
+  const [a, b] = core.parse([
+    "You start to analyse the shard.",
+    "You spot a slight trace of iron (north).",
+    "You finish analysing the shard.",
+    "You start to analyse the shard.",
+    "You would mine iron ore here.",
+    "It has a max quality of 33.",
+    "You finish analysing the shard."
+  ].join("\n"));
+  const entries = [{ dx: 0, dy: 0, parsed: a.parsed }, { dx: 2, dy: 3, parsed: b.parsed }];
+  const { veins, conflicts } = core.solve(entries);
+  assert.deepEqual(conflicts, []);
+  assert.equal(veins.length, 1);
+  assert.deepEqual(veins[0].lockedCoord, { x: 2, y: 3 });
+  assert.equal(veins[0].qlDisplay, "33");
+  assert.equal(entries[1].x, undefined, "caller's entries are left alone");
+});
+
+test("noVein terrain removes tiles and a fully covered trace is a conflict", () => {
+  const [s] = core.parse("You start to analyse the shard.\nYou spot a slight trace of tin (east).");
+  const entries = [{ dx: 0, dy: 0, parsed: s.parsed }];
+  const { veins } = core.solve(entries, {}, { terrain: { "1,0": "tunnel", "2,0": "rock" } });
+  assert.equal(veins[0].feasible.size, 77);
+  assert.ok(!veins[0].feasible.has("1,0"));
+
+  const terrain = {};
+  for (const k of core.wedgeCandidates({ x: 0, y: 0 }, { min: 1, max: 6 }, { dx: 1, dy: 0 }, "classic")) terrain[k] = "water";
+  const blocked = core.solve(entries, {}, { terrain });
+  assert.deepEqual(blocked.veins, []);
+  assert.equal(blocked.conflicts[0].cause, "terrain");
+});
+
+test("tile sets answer like key sets and combine on one grid", () => {
+  const grid = core.createGrid(-4, -4, 16, 16);
+  const a = core.createTileSet(grid).add("0,0").addXY(1, 2).addXY(99, 99);
+  const b = core.createTileSet(grid).addXY(1, 2).addXY(-3, 5);
+  assert.equal(a.size, 2, "tiles off the grid are dropped");
+  assert.ok(a.has("1,2") && a.hasXY(0, 0) && !a.has("5,5"));
+  assert.deepEqual([...a].sort(), ["0,0", "1,2"]);
+  assert.deepEqual([...a.and(b)], ["1,2"]);
+  assert.deepEqual([...a.andNot(b)], ["0,0"]);
+  assert.equal(a.or(b).size, 3);
+  assert.ok(a.intersects(b) && !a.andNot(b).intersects(b));
+  assert.deepEqual([...a.shifted(1, -1)].sort(), ["1,-1", "2,1"]);
+  assert.equal(a.signature(), a.clone().signature());
+  assert.notEqual(a.signature(), b.signature());
+  assert.ok(a.delete("0,0") && !a.delete("0,0"));
+  assert.deepEqual(a.first(), { x: 1, y: 2 });
+});
+
+test("a reused solver gives the same answers as fresh solves", () => {
+  const log = require("node:fs").readFileSync(require("node:path").join(__dirname, "fixtures", "two-iron-veins.log"), "utf8");
+  const sessions = core.parse(log);
+  const summary = ({ veins, conflicts }) => ({
+    veins: veins.map(v => ({ ore: v.ore, q: v.qlDisplay, tiles: [...v.feasible].sort(), top: v.top })),
+    conflicts: conflicts.map(c => `${c.entryIndex}:${c.markIndex}:${c.cause}`)
+  });
+  const solver = core.createSolver();
+  const steps = [];
+  for (const [i, s] of sessions.entries()) {
+    steps.push({ dx: i % 2 ? 3 : -1, dy: i % 3, parsed: s.parsed });
+    for (const settings of [{}, { absence: true }, { solver: "heatmap" }]) {
+      const options = { marks: [{ x: 1, y: 1, found: null }], terrain: { "0,2": "tunnel" } };
+      assert.deepEqual(summary(solver.solve(steps, settings, options)), summary(core.solve(steps, settings, options)), `${i + 1} entries, ${JSON.stringify(settings)}`);
+    }
+  }
+  const B = "You start to analyse the shard.\n";
+  const [t] = core.parse(`${B}You spot a slight trace of iron (north).\nYou spot a trace of tin (east).`);
+  const near = [0, 1, 2, 0, 1, 2].map(dx => ({ dx, dy: 1, parsed: t.parsed }));
+  solver.solve(near, {});
+  assert.deepEqual(summary(solver.solve(near, {})), summary(core.solve(near, {})), "an ambiguous split read back from the cache");
+  const wide = { detection: { geometry: "octant", rings: { indistinct: { min: 1, max: 40 } } } };
+  assert.deepEqual(summary(solver.solve(steps, wide)), summary(core.solve(steps, wide)), "a new detection model drops the caches");
+});
+
+test("replay solves each prefix of the entries, then the dig marks", () => {
+  const sessions = core.parse(require("node:fs").readFileSync(require("node:path").join(__dirname, "fixtures", "two-iron-veins.log"), "utf8"));
+  const steps = sessions.map((s, i) => ({ dx: i % 2 ? 3 : -1, dy: i % 3, parsed: s.parsed }));
+  const marks = [{ x: 1, y: 1, found: null }];
+  const tiles = ({ veins }) => veins.map(v => [...v.feasible].sort());
+  const stops = core.createSolver().replay(steps, {}, { marks });
+  assert.equal(stops.length, steps.length + 1);
+  steps.forEach((s, i) => assert.deepEqual(tiles(stops[i]), tiles(core.solve(steps.slice(0, i + 1), {})), `stop ${i + 1}`));
+  assert.deepEqual(tiles(stops[steps.length]), tiles(core.solve(steps, {}, { marks })));
+  assert.equal(core.createSolver().replay(steps, {}).length, steps.length);
+});
+
+test("a vein split cut short by the search limit is reported and does not lock", () => {
+  const [s] = core.parse("You start to analyse the shard.\nYou spot a slight trace of iron (north).\nYou spot a slight trace of iron (northeast).");
+  const steps = Array.from({ length: 18 }, (_, i) => ({ dx: i % 2, dy: 0, parsed: s.parsed }));
+  const { veins, conflicts } = core.solve(steps, {});
+  assert.ok(veins.length > 1);
+  assert.ok(veins.every(v => !v.locked));
+  assert.deepEqual(conflicts.map(c => [c.entryIndex, c.cause]), [[17, "unsettled"]]);
+});
+
+test("suggestSteps ranks the spots within range by the tiles they rule out", () => {
+  const [s] = core.parse("You start to analyse the shard.\nYou spot a faint trace of tin (east).");
+  const { veins } = core.solve([{ dx: 0, dy: 0, parsed: s.parsed }], {});
+  const spots = core.suggestSteps(veins, {}, { from: { x: 0, y: 0 }, radius: 4 });
+  assert.equal(spots.length, 5);
+  assert.ok(spots.every(p => p.walk <= 4 && p.reduction > 0 && p.left < veins[0].feasible.size));
+  assert.ok(spots.every((p, i) => i === 0 || spots[i - 1].reduction >= p.reduction));
+  const packed = core.unpackSolve(structuredClone(core.packSolve({ veins, conflicts: [] }))).veins;
+  assert.deepEqual(core.suggestSteps(packed, {}, { from: { x: 0, y: 0 }, radius: 4 }), spots);
+});
+
+test("packSolve output survives structured cloning", () => {
+  const [s] = core.parse("You start to analyse the shard.\nYou spot a slight trace of tin (east).");
+  for (const solver of ["strict", "heatmap"]) {
+    const out = core.solve([{ dx: 0, dy: 0, parsed: s.parsed }], { solver });
+    const back = core.unpackSolve(structuredClone(core.packSolve(out)));
+    assert.deepEqual([...back.veins[0].feasible], [...out.veins[0].feasible]);
+    if (solver === "heatmap") assert.deepEqual([...back.veins[0].heat], [...out.veins[0].heat]);
+  }
+});
@@ -0,0 +1,60 @@
+// Replays every test/fixtures/*.json: parse its log, walk its steps, solve, and compare with "expect".
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const core = require("../shard-core.js");
+
+const FIXTURES = path.join(__dirname, "fixtures");
+
+function dirLabel(dir) {
+  return (dir.dy > 0 ? "N" : dir.dy < 0 ? "S" : "") + (dir.dx > 0 ? "E" : dir.dx < 0 ? "W" : "");
+}
+
+// "slight iron good N"; "-" stands for a missing quality word.
+function traceText(t) {
+  return `${t.strengthWord} ${t.ore} ${t.adj || "-"} ${dirLabel(t.dir)}`;
+}
+
+function veinSummary(v) {
+  const out = { ore: v.ore, quality: v.qlDisplay, tiles: v.feasible.size };
+  if (v.locked) out.lockedAt = [v.lockedCoord.x, v.lockedCoord.y];
+  return out;
+}
+
+for (const file of fs.readdirSync(FIXTURES).filter(f => f.endsWith(".json")).sort()) {
+  const fx = JSON.parse(fs.readFileSync(path.join(FIXTURES, file), "utf8"));
+
+  test(`${file}: ${fx.description}`, () => {
+    const log = fs.readFileSync(path.join(FIXTURES, fx.log), "utf8");
+    const packs = [core.ENGLISH_PACK, ...(fx.packs || []).map(core.compilePack)];
+    const sessions = core.parse(log, packs);
+    assert.equal(sessions.length, fx.expect.sessions);
+    assert.equal(fx.steps.length, sessions.length, "one step per session");
+
+    (fx.expect.parsed || []).forEach((want, i) => {
+      const p = sessions[i].parsed;
+      assert.equal(p.mineOre, want.mineOre, `session ${i + 1} mine ore`);
+      assert.equal(p.mineMaxQl, want.mineMaxQl, `session ${i + 1} max QL`);
+      assert.equal(!!p.surface, !!want.surface, `session ${i + 1} surface`);
+      assert.deepEqual(p.traces.map(traceText), want.traces, `session ${i + 1} traces`);
+    });
+
+    const entries = sessions.map((s, i) => ({ dx: fx.steps[i][0], dy: fx.steps[i][1], parsed: s.parsed }));
+    const { veins, conflicts } = core.solve(entries, fx.settings, { marks: fx.marks, terrain: fx.terrain });
+
+    assert.deepEqual(
+      veins.map(veinSummary),
+      fx.expect.veins.map(({ feasible, top, ...rest }) => rest)
+    );
+    fx.expect.veins.forEach((want, i) => {
+      if (want.feasible) assert.deepEqual([...veins[i].feasible].sort(), want.feasible.slice().sort(), `vein ${i + 1} tiles`);
+      if (want.top) assert.deepEqual(veins[i].top, want.top, `vein ${i + 1} top tiles`);
+    });
+
+    assert.deepEqual(
+      conflicts.map(c => ({ ...(c.markIndex !== undefined ? { markIndex: c.markIndex } : { entryIndex: c.entryIndex }), cause: c.cause })),
+      fx.expect.conflicts
+    );
+  });
+}